@@ -12,9 +12,33 @@
     if(!XML3D)
         throw("XML3D not found, please ensure the camera script is included after xml3d.js");
 
+    var now = function() {
+        return window.performance && window.performance.now ? window.performance.now() : Date.now();
+    };
+
+    var requestFrame = window.requestAnimationFrame ? window.requestAnimationFrame.bind(window) : function(callback) {
+        return window.setTimeout(callback, 16);
+    };
+
+    var cancelFrame = window.cancelAnimationFrame ? window.cancelAnimationFrame.bind(window) : function(handle) {
+        window.clearTimeout(handle);
+    };
+
     /**
      * The StandardCamera offers basic mouse and touch interaction with an XML3D scene.
      *
+     * Whenever the camera moves, it dispatches a camerastart event on the controlled element, followed by at most one
+     * camerachange event per frame and a cameraend event once it came to rest. The detail of these events holds the
+     * camera and its state as returned by getState.
+     *
+     * The pose of the element is read from and written to the <transform> element referenced by its transform
+     * attribute, a float4x4 named "transform" in the referenced element, its CSS transform or, if none of these
+     * exist, a new <transform> element. The transform option takes an object {get, set} instead, where get returns
+     * the pose as {position, orientation} and set(position, orientation) stores it. Positions, orientations and
+     * examine points are always relative to the parent of the element, picking and bounding boxes are converted.
+     *
+     * With the useKeys option or in a mode that enables it, the camera also takes keys, see setKeymap.
+     *
      * @param {HTMLElement} element The element that this camera will control
      * @param {Object} opt
      * @constructor
@@ -23,46 +47,177 @@
         if (!element) {
             throw("Must provide an element to control when initializing the StandardCamera!");
         }
-        if (element.hasAttribute("style")) {
-            XML3D.debug.logWarning("This camera controller does not support CSS transforms, unexpected things may happen! Try using a <transform> element instead.");
-        }
 
         opt = opt || {};
+        var self = this;
         this.element = element;
         this.xml3d = this.getXML3DForElement(element);
 
         var mode = opt.mode || "examine";
-        this.mode = this.MODES[mode];
-        
-        // this.touchTranslateMode = opt.touchTranslateMode || "twofinger";
+        if (!this.MODES[mode]) {
+            throw("Unknown camera mode '" + mode + "'");
+        }
+        this.modeName = mode;
+        this.mode = normalizeMode(this.MODES[mode]);
+        this.bindings = opt.bindings ? normalizeBindings(opt.bindings) : {};
+        this.keymap = opt.keymap ? normalizeKeymap(opt.keymap) : {};
+        this.gamepadMapping = opt.gamepad ? normalizeGamepadMapping(opt.gamepad) : {};
+        this.sixDofMapping = opt.sixDof ? normalizeGamepadMapping(opt.sixDof) : {};
+        this.elementListeners = [];
         
-        this.mousemovePicking = true;
+        this.pickingSuppressed = false;
 
-        this.transformInterface = new TransformInterface(this.element, this.xml3d);
+        this.transformInterface = new TransformInterface(this.element, this.xml3d, opt.transform);
         this.prevPos = {x: -1, y: -1};
         this.prevTouchPositions = [];
         this.prevTouchPositions[0] = {
             x : -1,
             y : -1
         };
-        // this.prevZoomVectorLength = null;
 
         this.options = {};
         this.options.rotateSpeed = opt.rotateSpeed || 1.5;
         this.options.zoomSpeed = opt.zoomSpeed || 20;
+        // Distance of one step of a movement key and the speed of held movement keys in units per second
         this.options.moveSpeed = opt.moveSpeed || this.options.zoomSpeed * 0.05;
+        this.options.flySpeed = opt.flySpeed || this.options.moveSpeed * KEY_REPEAT_RATE;
+        this.options.movement = opt.movement || "fly";
+        this.options.sprintFactor = opt.sprintFactor || 3;
+        this.options.eyeHeight = opt.eyeHeight || 0;
+        this.options.collisionDistance = opt.collisionDistance || 0;
+        this.options.pointerLock = opt.pointerLock !== undefined ? opt.pointerLock : false;
+        this.options.pointerLockKey = opt.pointerLockKey || 0;
         this.options.useKeys = opt.useKeys !== undefined ? opt.useKeys : false;
+        this.options.keySpeed = opt.keySpeed || 0.15;
+        this.options.focusRing = opt.focusRing !== undefined ? opt.focusRing : true;
+        this.options.label = opt.label || "3D view";
+        this.options.announce = opt.announce !== undefined ? opt.announce : true;
+        this.options.useGamepad = opt.useGamepad !== undefined ? opt.useGamepad : true;
+        this.options.gamepadSpeed = opt.gamepadSpeed || 0.25;
+        this.options.gamepadDeadZone = opt.gamepadDeadZone !== undefined ? opt.gamepadDeadZone : 0.15;
+        this.options.gamepadCurve = opt.gamepadCurve || 2;
+        this.options.sixDofDevices = opt.sixDofDevices || SIX_DOF_DEVICES;
         this.options.updateExaminePoint = opt.updateExaminePoint !== undefined ? opt.updateExaminePoint : false;
         this.options.dragging = opt.dragging !== undefined ? opt.dragging : true;
         this.options.upVector = new XML3D.Vec3(opt.upVector || this.transformInterface.upVector);
+        this.options.rotateStyle = opt.rotateStyle || "turntable";
+        this.options.rotateAxis = opt.rotateAxis || null;
+        this.options.panPlane = opt.panPlane || null;
+        this.options.pivotOnDoubleClick = opt.pivotOnDoubleClick !== undefined ? opt.pivotOnDoubleClick : false;
+        this.options.centerPivot = opt.centerPivot !== undefined ? opt.centerPivot : false;
+        this.options.pivotIndicator = opt.pivotIndicator !== undefined ? opt.pivotIndicator : false;
+        this.options.useWheel = opt.useWheel !== undefined ? opt.useWheel : true;
+        this.options.wheelZoomSpeed = opt.wheelZoomSpeed || 0.002;
+        this.options.animationDuration = opt.animationDuration !== undefined ? opt.animationDuration : 0;
+        this.options.easing = opt.easing || "easeInOut";
+        this.options.inertia = opt.inertia !== undefined ? opt.inertia : false;
+        this.options.inertiaFriction = opt.inertiaFriction || 5;
+        this.options.inertiaMinSpeed = opt.inertiaMinSpeed || 20;
         
         this.action = this.NO_ACTION;
+        this.transition = null;
+        this.inertia = null;
+        this.motionHistory = [];
+        this.lastMotionTime = 0;
+        this.keysDown = {};
+        this.sprinting = false;
+        this.announcePending = false;
+        this.pointerFocus = false;
+        this.pointerLocked = false;
+        this.tap = {touching: false, current: null, last: null, pivotTime: -Infinity};
+        this.pivotFlashEnd = 0;
+        this.pivotFlashTimer = null;
+        this.keyMovement = new FrameLoop(function(dt) { return self.moveByKeys(dt); });
+        this.gamepadLoop = new FrameLoop(function(dt) { return self.pollGamepads(dt); });
+        this.gamepadActive = false;
+        this.gamepadButtons = {};
+        this.gamepadIdle = 0;
+        this.moving = false;
+        this.poseChanged = false;
+        this.changeEvents = new FrameLoop(function() { return self.dispatchChangeEvents(); });
+        this.transformInterface.onChange = function() { self.poseChange(); };
         this.state = {
             //Note: The examine point is relative to the element's parent coordinate space.
             examinePoint: opt.examinePoint || this.getInverseTranslationOfParent(element)
         };
 
+        this.constraints = {};
+        for (var name in DEFAULT_CONSTRAINTS)
+            this.constraints[name] = DEFAULT_CONSTRAINTS[name];
+        this.constraints.minDistance = opt.minDistance || 0;
+        this.constraints.maxDistance = opt.maxDistance || Infinity;
+        if (opt.constraints)
+            this.setConstraints(opt.constraints);
+        if (opt.projection && opt.projection !== this.getProjection())
+            this.setProjection(opt.projection);
+        this.setHome();
+
         this.attach();
+        if (opt.urlSync)
+            this.enableURLSync(opt.urlSync === true ? {} : opt.urlSync);
+    };
+
+    /**
+     * Defines a camera mode that can be selected with the mode option. The bindings map inputs to actions, where an
+     * input is one of "left", "middle", "right" or "buttonN" for mouse and pen buttons, "touch:N" for N fingers or
+     * "wheel", optionally prefixed with modifiers, e.g. "shift+left" or "ctrl+alt+wheel". Inputs with modifiers that
+     * are not bound fall back to the binding without modifiers.
+     *
+     * Actions are given as objects like XML3D.StandardCamera.prototype.ROTATE or by name, e.g. "ROTATE". A touch
+     * gesture is given as object with pan, pinch and twist actions, see createGesture.
+     *
+     * The options of a mode take precedence over the options of the camera while the mode is active. Modes may
+     * enable or disable the keyboard with useKeys, bring their own keys with the keymap option, see setKeymap, and choose
+     * between "fly" and "walk" movement for the keys with the movement option. Likewise, useGamepad, gamepad and
+     * sixDof configure gamepads and 6DOF devices, see setGamepadMapping.
+     * With mouselook the pointerLock option of the camera turns the mouse into a look around control.
+     *
+     * TRANSLATE and PANNING move in the plane given by the panPlane option: "view" for the plane facing the camera,
+     * "ground" for the plane perpendicular to the up vector, a plane {normal, point} or a function returning one of
+     * these. TRANSLATE defaults to "view" and PANNING to "ground". The rotateStyle option chooses how ROTATE turns
+     * around the examine point: "turntable" around the up vector and the horizontal axis of the screen, "trackball"
+     * following the pointer on a virtual sphere or "axis" only around the rotateAxis option, which defaults to the
+     * up vector.
+     *
+     * @param {string} name
+     * @param {Object} bindings
+     * @param {Object=} options
+     */
+    XML3D.StandardCamera.registerMode = function(name, bindings, options) {
+        options = options || {};
+        if (options.keymap || options.gamepad || options.sixDof) {
+            var copy = {};
+            for (var option in options)
+                copy[option] = options[option];
+            if (options.keymap)
+                copy.keymap = normalizeKeymap(options.keymap);
+            if (options.gamepad)
+                copy.gamepad = normalizeGamepadMapping(options.gamepad);
+            if (options.sixDof)
+                copy.sixDof = normalizeGamepadMapping(options.sixDof);
+            options = copy;
+        }
+        XML3D.StandardCamera.prototype.MODES[name] = {bindings: normalizeBindings(bindings), options: options};
+    };
+
+    /**
+     * Easing functions that can be passed by name as the easing option of camera transitions. Each one maps the
+     * normalized time of the transition to its progress, both in the range [0, 1].
+     */
+    XML3D.StandardCamera.EASING = {
+        linear: function(t) {
+            return t;
+        },
+        easeIn: function(t) {
+            return t * t * t;
+        },
+        easeOut: function(t) {
+            t = 1 - t;
+            return 1 - t * t * t;
+        },
+        easeInOut: function(t) {
+            return t < 0.5 ? 4 * t * t * t : 1 - 4 * Math.pow(1 - t, 3);
+        }
     };
 
     /**
@@ -71,6 +226,7 @@
      */
     XML3D.StandardCamera.prototype.translate = function(vec) {
         this.transformInterface.translate(vec);
+        this.applyConstraints();
     };
 
     /**
@@ -79,37 +235,580 @@
      */
     XML3D.StandardCamera.prototype.rotate = function(rot) {
         this.transformInterface.rotate(rot);
+        this.applyConstraints();
     };
 
     /**
-     * Moves the camera to a new position and orientation that centers on the given object. After calling this the camera
-     * will be positioned in front of the object looking down the Z axis at it. The camera will be placed far enough away
-     * that the whole object is visible. If in examine mode the examine point will be set to the center of the object.
+     * Moves the camera to a new position that centers on the given object. The camera keeps its view direction and
+     * will be placed far enough away that the whole object is visible. The examine point will be set to the center of
+     * the object. See fitToView for more control.
      *
      * @param {HTMLElement} element The element to be examined. May be a <group>, <mesh> or <model> tag.
+     * @param {Object=} opts Options of fitToView
+     * @return {Promise|undefined} Resolves when the transition is over, see flyTo
      */
-    XML3D.StandardCamera.prototype.examine = function(element) {
+    XML3D.StandardCamera.prototype.examine = function(element, opts) {
         if (!element.getWorldBoundingBox) {
             XML3D.debug.logError(element + " is not a valid examine target. Valid target elements include <group>, <mesh> and <model>.");
             return;
         }
-        var bb = element.getWorldBoundingBox();
-        var center = bb.center();
-        var r = center.len();
-        var newPos = center.clone();
-        newPos.z += r / Math.tan(this.transformInterface.fieldOfView / 2);
-        this.transformInterface.position = newPos;
-        this.transformInterface.orientation = new XML3D.Quat();
-        this.state.examinePoint = bb.center();
+        return this.fitToView(element, opts);
+    };
+
+    /**
+     * Moves the camera so that the given elements fill the view and sets the examine point to their center. The
+     * camera keeps its view direction unless another one is requested.
+     *
+     * Options, in addition to the transition options of flyTo:
+     *  direction: A view name or direction, see getViewDirection
+     *  fit: "sphere" fits the bounding sphere, which does not depend on the view direction, "box" fits the corners
+     *      of the bounding box more tightly. Defaults to "sphere".
+     *  padding: Margin around the elements as fraction of their size, defaults to 0.1
+     *
+     * @param {HTMLElement|Array} elements One or more <group>, <mesh> or <model> elements
+     * @param {Object=} opts
+     * @return {Promise|undefined} Resolves when the transition is over, see flyTo
+     */
+    XML3D.StandardCamera.prototype.fitToView = function(elements, opts) {
+        opts = opts || {};
+        if (!Array.isArray(elements))
+            elements = elements && elements.length !== undefined && !elements.getWorldBoundingBox ? Array.prototype.slice.call(elements) : [elements];
+
+        var box = getBoundingBox(elements, this.transformInterface);
+        if (!box) {
+            XML3D.debug.logError("Nothing to fit into the view, the elements are empty or have no bounding box.");
+            return;
+        }
+
+        var tf = this.transformInterface;
+        var direction = opts.direction ? this.getViewDirection(opts.direction) : tf.direction;
+        var center = box.min.add(box.max).scale(0.5);
+        var padding = 1 + (opts.padding !== undefined ? opts.padding : 0.1);
+        var fovV = tf.fieldOfView;
+        var fovH = 2 * Math.atan(Math.tan(fovV / 2) * this.width / this.height);
+
+        var orientation = opts.direction ? this.getViewOrientation(direction) : tf.orientation;
+        var distance, extentX, extentY;
+        if (opts.fit === "box") {
+            var right = XML3D.Vec3.fromValues(1, 0, 0).transformQuat(orientation);
+            var up = XML3D.Vec3.fromValues(0, 1, 0).transformQuat(orientation);
+            distance = extentX = extentY = 0;
+            getBoxCorners(box).forEach(function(corner) {
+                var offset = corner.subtract(center);
+                var depth = offset.dot(direction);
+                var x = Math.abs(offset.dot(right)), y = Math.abs(offset.dot(up));
+                distance = Math.max(distance,
+                    x * padding / Math.tan(fovH / 2) - depth,
+                    y * padding / Math.tan(fovV / 2) - depth);
+                extentX = Math.max(extentX, x);
+                extentY = Math.max(extentY, y);
+            });
+        } else {
+            var radius = box.max.subtract(box.min).length() / 2;
+            distance = radius * padding / Math.sin(Math.min(fovV, fovH) / 2);
+            extentX = extentY = radius;
+        }
+
+        var target = {position: center.subtract(direction.scale(distance)), orientation: orientation};
+        if (tf.orthographic)
+            target.orthoHeight = 2 * padding * Math.max(extentY, extentX * this.height / this.width);
+        this.state.examinePoint = center;
+        return this.startTransition(target, opts);
     };
 
     /**
      * Orient the camera to look at the given point
      *
      * @param {XML3D.Vec3} point
+     * @param {Object=} opts Transition options, see flyTo
+     * @return {Promise|undefined} Resolves when the transition is over, see flyTo
+     */
+    XML3D.StandardCamera.prototype.lookAt = function(point, opts) {
+        var tf = this.transformInterface;
+        return this.startTransition({position: tf.position, orientation: tf.lookAtOrientation(point, this.options.upVector)}, opts);
+    };
+
+    /**
+     * Orbits the camera around the examine point to a standard view, the distance to the examine point stays the
+     * same. Views from above or below are oriented so that the front faces the bottom of the screen.
+     *
+     * @param {string|XML3D.Vec3|Array} view A view name or direction, see getViewDirection
+     * @param {Object=} opts Transition options, see flyTo
+     * @return {Promise|undefined} Resolves when the transition is over, see flyTo
+     */
+    XML3D.StandardCamera.prototype.setView = function(view, opts) {
+        var tf = this.transformInterface;
+        var direction = this.getViewDirection(view);
+        var center = this.state.examinePoint || tf.position.add(tf.direction.scale(this.getFocusDistance()));
+        var distance = tf.position.subtract(center).length() || this.getFocusDistance();
+        return this.startTransition({
+            position: center.subtract(direction.scale(distance)),
+            orientation: this.getViewOrientation(direction)
+        }, opts);
+    };
+
+    /**
+     * Changes the up vector, which defines the ground plane and the axis that rotations turn around. Dispatches an
+     * "upvectorchange" event on the element controlled by the camera, the detail of the event holds the camera and the
+     * new up vector.
+     *
+     * @param {XML3D.Vec3|Array} up
+     * @param {Object=} opts With align the camera rolls to stand upright with respect to the new up vector, the other
+     *     options are the transition options of flyTo
+     * @return {Promise|undefined} Resolves when the camera is aligned, see flyTo
+     */
+    XML3D.StandardCamera.prototype.setUpVector = function(up, opts) {
+        up = new XML3D.Vec3(up);
+        if (!up.length() || !isFinite(up.length())) {
+            throw("Invalid up vector");
+        }
+        opts = opts || {};
+        this.options.upVector = up.normalize();
+        this.state.eyeHeight = null;
+        this.dispatchCameraEvent("upvectorchange", {camera: this, upVector: toArray(this.options.upVector)});
+        if (opts.align)
+            return this.startTransition({position: this.transformInterface.position, orientation: this.getViewOrientation(this.transformInterface.direction)}, opts);
+    };
+
+    /**
+     * Resolves the name of a standard view to its view direction. The names are relative to the up vector, the
+     * front view looks against the azimuth reference of the constraints, which defaults to Z, and the right view
+     * looks against the axis to its right. The iso view looks down on the front right top corner.
+     *
+     * @param {string|XML3D.Vec3|Array} view One of "front", "back", "left", "right", "top", "bottom" and "iso" or
+     *     a view direction, which is returned normalized
+     * @return {XML3D.Vec3}
+     */
+    XML3D.StandardCamera.prototype.getViewDirection = function(view) {
+        if (typeof view !== "string")
+            return new XML3D.Vec3(view).normalize();
+
+        var up = this.options.upVector.normalize();
+        var front = this.getAzimuthReference(up);
+        var right = up.cross(front);
+        switch (view) {
+            case "front": return front.negate();
+            case "back": return front;
+            case "right": return right.negate();
+            case "left": return right;
+            case "top": return up.negate();
+            case "bottom": return up;
+            case "iso": return front.add(right).add(up).normalize().negate();
+        }
+        throw("Unknown view '" + view + "'");
+    };
+
+    /**
+     * Moves the camera to the given position and orientation. Without a duration the camera jumps to the new pose,
+     * otherwise the position is interpolated linearly and the orientation spherically over the given time. Any user
+     * input cancels the transition, unless the cancelOnInput option is false.
+     *
+     * Options:
+     *  duration: Length of the transition in milliseconds, defaults to the animationDuration option of the camera
+     *  easing: A function or the name of one of the functions in XML3D.StandardCamera.EASING
+     *  cancelOnInput: Whether user input stops the transition, defaults to true
+     *  callback: Called with true if the transition finished and false if it was cancelled
+     *
+     * @param {XML3D.Vec3|Array=} position The new camera position, keeps the current one if omitted
+     * @param {XML3D.Quat|Array=} orientation The new camera orientation, keeps the current one if omitted
+     * @param {Object=} opts
+     * @return {Promise|undefined} Resolves with the same value passed to the callback, if Promises are supported
+     */
+    XML3D.StandardCamera.prototype.flyTo = function(position, orientation, opts) {
+        var tf = this.transformInterface;
+        return this.startTransition({
+            position: position ? new XML3D.Vec3(position) : tf.position,
+            orientation: orientation ? new XML3D.Quat(orientation).normalize() : tf.orientation
+        }, opts);
+    };
+
+    /**
+     * Switch to another mode. The camera keeps its pose and examine point, an interaction that is in progress ends.
+     * Dispatches a "modechange" event on the element controlled by the camera, the detail of the event holds the
+     * camera as well as the names of the new and the previous mode.
+     *
+     * @param {string} name The name of a mode in XML3D.StandardCamera.prototype.MODES
+     */
+    XML3D.StandardCamera.prototype.setMode = function(name) {
+        if (!this.MODES[name]) {
+            throw("Unknown camera mode '" + name + "'");
+        }
+        if (name === this.modeName)
+            return;
+
+        this.endInteraction();
+        var previousMode = this.modeName;
+        this.modeName = name;
+        this.mode = normalizeMode(this.MODES[name]);
+        if (!this.pointerLockEnabled())
+            this.exitPointerLock();
+        this.updateKeyAccessibility();
+        this.startGamepads();
+        this.dispatchCameraEvent("modechange", {camera: this, mode: name, previousMode: previousMode});
+    };
+
+    /**
+     * @return {string} The name of the current mode
+     */
+    XML3D.StandardCamera.prototype.getMode = function() {
+        return this.modeName;
+    };
+
+    /**
+     * @return {string} "orthographic" if the view uses an orthographic projection, otherwise "perspective"
+     */
+    XML3D.StandardCamera.prototype.getProjection = function() {
+        return this.transformInterface.orthographic ? "orthographic" : "perspective";
+    };
+
+    /**
+     * Switch between perspective and orthographic projection. The framing at the examine point stays the same: the
+     * orthographic view shows what the perspective view showed at the distance of the examine point, switching back
+     * moves the camera to the distance where the perspective view shows the same as the orthographic view did.
+     * Dispatches a "projectionchange" event on the element controlled by the camera, the detail of the event holds
+     * the camera and the new projection.
+     *
+     * Orthographic views are stored as projection matrix of a view with model "urn:xml3d:view:projective".
+     *
+     * @param {string} projection "perspective" or "orthographic"
+     */
+    XML3D.StandardCamera.prototype.setProjection = function(projection) {
+        if (projection !== "perspective" && projection !== "orthographic") {
+            throw("Unknown projection '" + projection + "'");
+        }
+        if (projection === this.getProjection())
+            return;
+
+        this.endInteraction();
+        this.stopTransition();
+        var tf = this.transformInterface;
+        var distance = this.getFocusDistance();
+        var scale = 2 * Math.tan(tf.fieldOfView / 2);
+        if (projection === "orthographic") {
+            tf.orthoHeight = distance * scale;
+        } else {
+            var focus = tf.position.add(tf.direction.scale(distance));
+            var height = tf.orthoHeight;
+            tf.usePerspective();
+            tf.position = focus.subtract(tf.direction.scale(height / scale));
+            this.applyConstraints();
+        }
+        this.dispatchCameraEvent("projectionchange", {camera: this, projection: projection});
+    };
+
+    /**
+     * Creates a ray through the given page coordinates like the generateRay method of the <xml3d> element, but
+     * in the coordinate space of the parent of the camera element and also for orthographic views, where all rays
+     * are parallel to the view direction.
+     *
+     * @param {number} x
+     * @param {number} y
+     * @return {XML3D.Ray}
+     */
+    XML3D.StandardCamera.prototype.generateRay = function(x, y) {
+        var tf = this.transformInterface;
+        if (!tf.orthographic) {
+            var ray = this.xml3d.generateRay(x, y);
+            return new XML3D.Ray(tf.worldToParent(ray.origin), tf.worldToParentDirection(ray.direction));
+        }
+
+        var position = this.getCanvasPosition(x, y);
+        var scale = tf.orthoHeight / this.height;
+        var offsetX = (position.x - this.width / 2) * scale;
+        var offsetY = (this.height / 2 - position.y) * scale;
+        var origin = tf.position.add(tf.rightVector.scale(offsetX)).add(tf.upVector.scale(offsetY));
+        return new XML3D.Ray(origin, tf.direction);
+    };
+
+    /**
+     * Projects a point onto the canvas, the counterpart of generateRay.
+     *
+     * @param {XML3D.Vec3|Array} point In the coordinate space of the parent of the camera element
+     * @return {{x: number, y: number}|null} The position relative to the top left corner of the <xml3d> element or
+     *     null if the point is behind the camera
+     */
+    XML3D.StandardCamera.prototype.projectToScreen = function(point) {
+        var tf = this.transformInterface;
+        var offset = new XML3D.Vec3(point).subtract(tf.position);
+        var halfHeight;
+        if (tf.orthographic) {
+            halfHeight = tf.orthoHeight / 2;
+        } else {
+            var depth = offset.dot(tf.direction);
+            if (depth <= 0)
+                return null;
+            halfHeight = depth * Math.tan(tf.fieldOfView / 2);
+        }
+        var scale = this.height / 2 / halfHeight;
+        return {
+            x: this.width / 2 + offset.dot(tf.rightVector) * scale,
+            y: this.height / 2 - offset.dot(tf.upVector) * scale
+        };
+    };
+
+    /**
+     * Sets the examine point, which the camera rotates around. With the pivotOnDoubleClick option, double clicking
+     * or double tapping the scene sets the examine point to the point under the pointer, moving the camera as
+     * configured by the centerPivot option. Dispatches a "pivotchange" event on the element controlled by the
+     * camera, the detail of the event holds the camera and the new examine point.
+     *
+     * @param {XML3D.Vec3|Array} point
+     * @param {Object=} opts With center the camera moves sideways until the point is in the center of the view,
+     *     the other options are the transition options of flyTo
+     * @return {Promise|undefined} Resolves when the camera is centered, see flyTo
+     */
+    XML3D.StandardCamera.prototype.setPivot = function(point, opts) {
+        opts = opts || {};
+        var self = this;
+        point = new XML3D.Vec3(point);
+        this.state.examinePoint = point;
+        this.dispatchCameraEvent("pivotchange", {camera: this, examinePoint: toArray(point)});
+
+        if (this.pivotIndicator) {
+            this.pivotFlashEnd = now() + PIVOT_FLASH_TIME;
+            this.updatePivotIndicator();
+            window.clearTimeout(this.pivotFlashTimer);
+            this.pivotFlashTimer = window.setTimeout(function() {
+                self.pivotFlashTimer = null;
+                self.updatePivotIndicator();
+            }, PIVOT_FLASH_TIME);
+        }
+        if (!opts.center)
+            return;
+        var tf = this.transformInterface;
+        var direction = tf.direction;
+        var position = point.subtract(direction.scale(point.subtract(tf.position).dot(direction)));
+        return this.startTransition({position: position, orientation: tf.orientation}, opts);
+    };
+
+    /**
+     * Captures the current view as plain object that can be serialized to JSON, e.g. for bookmarks or undo.
+     * Vectors are stored as arrays, the orientation as quaternion [x, y, z, w] and the field of view in radians.
+     * Orthographic views also store the visible height in world units as orthoHeight.
+     *
+     * @return {{position: Array, orientation: Array, examinePoint: Array, mode: string, fieldOfView: number,
+     *     projection: string, orthoHeight: number}}
+     */
+    XML3D.StandardCamera.prototype.getState = function() {
+        var tf = this.transformInterface;
+        var examinePoint = this.state.examinePoint;
+        var state = {
+            position: toArray(tf.position),
+            orientation: toArray(tf.orientation),
+            examinePoint: examinePoint ? toArray(examinePoint) : null,
+            mode: this.modeName,
+            fieldOfView: tf.fieldOfView,
+            projection: this.getProjection()
+        };
+        if (tf.orthographic)
+            state.orthoHeight = tf.orthoHeight;
+        return state;
+    };
+
+    /**
+     * Restores a view captured with getState. Entries that are missing or invalid are ignored, so a state may also
+     * contain only some of them. The camera moves to the new pose with a transition, see flyTo for the options.
+     *
+     * @param {Object} state
+     * @param {Object=} opts Transition options, see flyTo
+     * @return {Promise|undefined} Resolves when the transition is over, see flyTo
+     */
+    XML3D.StandardCamera.prototype.setState = function(state, opts) {
+        if (!state || typeof state !== "object")
+            throw("Invalid camera state");
+
+        if (typeof state.mode === "string" && this.MODES.hasOwnProperty(state.mode))
+            this.setMode(state.mode);
+        if (isFiniteNumber(state.fieldOfView) && state.fieldOfView > 0 && state.fieldOfView < Math.PI)
+            this.transformInterface.fieldOfView = state.fieldOfView;
+        var examinePoint = toVector(state.examinePoint, 3);
+        if (examinePoint)
+            this.state.examinePoint = new XML3D.Vec3(examinePoint);
+        if (state.projection === "perspective" || state.projection === "orthographic")
+            this.setProjection(state.projection);
+
+        var tf = this.transformInterface;
+        var position = toVector(state.position, 3);
+        var orientation = toVector(state.orientation, 4);
+        if (orientation && !(orientation[0] || orientation[1] || orientation[2] || orientation[3]))
+            orientation = null;
+        var target = {
+            position: position ? new XML3D.Vec3(position) : tf.position,
+            orientation: orientation ? new XML3D.Quat(orientation).normalize() : tf.orientation
+        };
+        if (tf.orthographic && isFiniteNumber(state.orthoHeight) && state.orthoHeight > 0)
+            target.orthoHeight = state.orthoHeight;
+        return this.startTransition(target, opts);
+    };
+
+    /**
+     * Changes the input bindings of this camera. The given bindings take precedence over the ones of the current
+     * mode, a binding to null disables the input. Passing null removes all bindings set on this camera.
+     *
+     * @param {Object} bindings Bindings in the same format as for registerMode
+     */
+    XML3D.StandardCamera.prototype.setBindings = function(bindings) {
+        if (!bindings) {
+            this.bindings = {};
+            return;
+        }
+        bindings = normalizeBindings(bindings);
+        for (var key in bindings)
+            this.bindings[key] = bindings[key];
+    };
+
+    /**
+     * Changes the keys of this camera. Keys are the code or the key of a KeyboardEvent, e.g. "KeyW", "ArrowUp",
+     * "Home" or "+", optionally prefixed with modifiers like the inputs of bindings, e.g. "shift+ArrowUp". A key
+     * pressed with shift falls back to its binding without modifiers, other modifiers do not. Keys are only handled
+     * with the useKeys option or in a mode that enables it, and only while the <xml3d> element has the focus.
+     *
+     * The <xml3d> element is focusable, focus from the keyboard draws a focus ring unless the focusRing option is off.
+     * The label option names the view for screen readers. While keys are handled, the <xml3d> element has the role
+     * application and screen readers are told where the camera looks after keyboard navigation unless the announce
+     * option is off. The announce option may also be a function that returns the text for a state as returned by
+     * getState.
+     *
+     * By default WASD and the arrow keys move the camera, IJKL and the number pad orbit, R and V pan up and down,
+     * +, -, PageUp and PageDown dolly, Q and E roll, Home resets and F fits the view. The lookaround, fly and walk
+     * modes use Q, E, C and space to move down and up instead. Held movement keys move flySpeed units per second,
+     * which defaults to ten steps of moveSpeed, and shift multiplies the speed by sprintFactor.
+     *
+     * Commands:
+     *  forward, backward, left, right, up, down: Move the camera as set by the movement option
+     *  orbitLeft, orbitRight, orbitUp, orbitDown: Rotate the camera around the examine point like ROTATE
+     *  panLeft, panRight, panUp, panDown: Move the camera sideways like TRANSLATE
+     *  dollyIn, dollyOut: Move the camera along its view direction like DOLLY
+     *  rollLeft, rollRight: Roll the camera like ROLL
+     *  reset: Return to the home view, see resetView
+     *  fitAll: Fit the whole scene into the view, see fitAll
+     *
+     * The given keys take precedence over the ones of the current mode, a key mapped to null does nothing. Passing
+     * null removes all keys set on this camera.
+     *
+     * @param {Object} keymap Maps keys to command names
+     */
+    XML3D.StandardCamera.prototype.setKeymap = function(keymap) {
+        if (!keymap) {
+            this.keymap = {};
+            return;
+        }
+        keymap = normalizeKeymap(keymap);
+        for (var key in keymap)
+            this.keymap[key] = keymap[key];
+    };
+
+    /**
+     * Changes how gamepads or 6DOF devices like 3D mice move this camera. Their axes and buttons are polled every
+     * frame while the <xml3d> element shows the view of the camera and has the focus or, if no <xml3d> element has
+     * the focus, was used last. Polling pauses after a few seconds without input and starts again when a gamepad
+     * connects or the <xml3d> element gets the focus or is used. Inputs are "axis:N" and "button:N" with the indices
+     * of the Gamepad API. Values within the gamepadDeadZone option are ignored, the rest is raised to the power of
+     * the gamepadCurve option, which may also be a function of the magnitude in [0, 1].
+     *
+     * Targets, prefixed with "-" to invert them:
+     *  ACTION.x, ACTION.y: Drive an action with a move function, e.g. "ROTATE.x", as if the pointer moved by the
+     *      gamepadSpeed option times the size of the canvas per second in that direction
+     *  move.x, move.y, move.z: Move right, forward and up as set by the movement option, at flySpeed per second
+     *  translate.x, translate.y, translate.z: Translate the camera along its own axes at flySpeed per second
+     *  rotate.x, rotate.y, rotate.z: Rotate the camera around its own axes at rotateSpeed radians per second
+     *  Any command of setKeymap, where reset and fitAll happen once per press
+     *
+     * Devices whose id matches the sixDofDevices option use the 6DOF mapping, which drives translate and rotate.
+     * The axes of these devices differ between platforms, so their defaults may need inverted targets.
+     *
+     * The given inputs take precedence over the ones of the current mode, an input mapped to null does nothing.
+     * Passing null removes all inputs set on this camera.
+     *
+     * @param {Object} mapping Maps inputs to targets
+     * @param {string=} device "gamepad" or "sixDof", defaults to "gamepad"
+     */
+    XML3D.StandardCamera.prototype.setGamepadMapping = function(mapping, device) {
+        var name = device == "sixDof" ? "sixDofMapping" : "gamepadMapping";
+        if (!mapping) {
+            this[name] = {};
+            return;
+        }
+        mapping = normalizeGamepadMapping(mapping);
+        for (var input in mapping)
+            this[name][input] = mapping[input];
+    };
+
+    /**
+     * Stores the view that resetView returns to, which is the view the camera started with unless changed here.
+     *
+     * @param {Object=} state A state as returned by getState, defaults to the current one
+     */
+    XML3D.StandardCamera.prototype.setHome = function(state) {
+        var home = {};
+        state = state || this.getState();
+        for (var name in state) {
+            if (name !== "mode")
+                home[name] = Array.isArray(state[name]) ? state[name].slice() : state[name];
+        }
+        this.home = home;
+    };
+
+    /**
+     * Returns to the home view, see setHome.
+     *
+     * @param {Object=} opts Transition options, see flyTo
+     * @return {Promise|undefined} Resolves when the transition is over, see flyTo
+     */
+    XML3D.StandardCamera.prototype.resetView = function(opts) {
+        return this.setState(this.home, opts);
+    };
+
+    /**
+     * Fits the whole scene into the view, see fitToView.
+     *
+     * @param {Object=} opts Options of fitToView
+     * @return {Promise|undefined} Resolves when the transition is over, see flyTo
      */
-    XML3D.StandardCamera.prototype.lookAt = function(point) {
-        this.transformInterface.lookAt(point);
+    XML3D.StandardCamera.prototype.fitAll = function(opts) {
+        var elements = Array.prototype.filter.call(this.xml3d.children, function(child) {
+            return !!child.getWorldBoundingBox;
+        });
+        return this.fitToView(elements, opts);
+    };
+
+    /**
+     * Restricts where the camera may go. All camera movements are clamped to the constraints, including the ones
+     * through translate, rotate, lookAt and transitions. Constraints that are not given remain unchanged, null resets
+     * a constraint. Distances and angles are measured from the examine point, angles in radians.
+     *
+     * Constraints:
+     *  minDistance, maxDistance: Distance of the camera from the examine point. In examine and panning mode dollying
+     *      and zooming never pass through the examine point and stop a small distance before it without minDistance
+     *  minPolarAngle, maxPolarAngle: Angle between the up vector and the direction from the examine point to the
+     *      camera, 0 looks straight down and PI straight up
+     *  minAzimuth, maxAzimuth: Angle around the up vector, 0 is in the direction of azimuthReference and positive
+     *      angles turn counter-clockwise when seen from above. A minAzimuth above maxAzimuth allows the range that
+     *      crosses PI, e.g. 2.5 and -2.5 for the views from behind
+     *  azimuthReference: Direction of azimuth 0, defaults to Z or -Y if the up vector is Z
+     *  bounds: Volume that contains the camera position, either an element with getWorldBoundingBox,
+     *      a box {min, max} or a sphere {center, radius} relative to the parent of the camera element
+     *
+     * @param {Object} constraints
+     */
+    XML3D.StandardCamera.prototype.setConstraints = function(constraints) {
+        for (var name in constraints) {
+            if (!DEFAULT_CONSTRAINTS.hasOwnProperty(name)) {
+                XML3D.debug.logWarning("Unknown camera constraint '" + name + "'");
+                continue;
+            }
+            var value = constraints[name];
+            this.constraints[name] = value === null || value === undefined ? DEFAULT_CONSTRAINTS[name] : value;
+        }
+        this.applyConstraints();
+    };
+
+    /**
+     * Stop the currently running transition, if any. The camera stays where it is.
+     */
+    XML3D.StandardCamera.prototype.stopTransition = function() {
+        if (this.transition)
+            this.transition.finish(false);
     };
 
     /**
@@ -121,44 +820,275 @@
         this._evt_mouseup = function(e) {self.mouseReleaseEvent(e);};
         this._evt_mousemove = function(e) {self.mouseMoveEvent(e);};
         this._evt_contextmenu = function(e) {self.stopEvent(e);};
+        this._evt_dblclick = function(e) {self.doubleClickEvent(e);};
         this._evt_keydown = function(e) {self.keyHandling(e);};
+        this._evt_keyup = function(e) {self.keyReleaseEvent(e);};
+        this._evt_focus = function(e) {self.focusEvent(e);};
+        this._evt_blur = function(e) {self.blurEvent(e);};
+        this._evt_pointerlockchange = function(e) {self.pointerLockChangeEvent(e);};
+        this._evt_pointerlockmove = function(e) {self.pointerLockMoveEvent(e);};
+        this._evt_wheel = function(e) {self.wheelEvent(e);};
+        this._evt_resize = function(e) {self.resizeEvent(e);};
+        this._evt_gamepadconnected = function(e) {self.startGamepads();};
 
         this._evt_touchstart = function(e) {self.touchStartEvent(e);};
         this._evt_touchmove = function(e) {self.touchMoveEvent(e);};
         this._evt_touchend = function(e) {self.touchEndEvent(e);};
         this._evt_touchcancel = function(e) {self.touchEndEvent(e);};
 
+        this._evt_pointerdown = function(e) {self.pointerDownEvent(e);};
+        this._evt_pointermove = function(e) {self.pointerMoveEvent(e);};
+        this._evt_pointerup = function(e) {self.pointerUpEvent(e);};
+        this._evt_pointercancel = function(e) {self.pointerCancelEvent(e);};
 
-        this.xml3d.addEventListener("mousedown", this._evt_mousedown, false);
-        document.addEventListener("mouseup", this._evt_mouseup, false);
-        document.addEventListener("mousemove",this._evt_mousemove, false);
 
-        this.xml3d.addEventListener("touchstart", this._evt_touchstart, false);
-        document.addEventListener("touchend", this._evt_touchend, false);
-        document.addEventListener("touchmove",this._evt_touchmove, false);
-        document.addEventListener("touchcancel", this._evt_touchend, false);
+        this.usePointerEvents = !!window.PointerEvent;
+        if (this.usePointerEvents) {
+            this.pointers = [];
+            //Keep the browser from panning or zooming the page on touch input
+            this.prevTouchAction = this.xml3d.style.touchAction;
+            this.xml3d.style.touchAction = "none";
+
+            this.xml3d.addEventListener("pointerdown", this._evt_pointerdown, false);
+            this.xml3d.addEventListener("pointermove", this._evt_pointermove, false);
+            this.xml3d.addEventListener("pointerup", this._evt_pointerup, false);
+            this.xml3d.addEventListener("pointercancel", this._evt_pointercancel, false);
+            this.xml3d.addEventListener("lostpointercapture", this._evt_pointercancel, false);
+        } else {
+            this.xml3d.addEventListener("mousedown", this._evt_mousedown, false);
+
+            this.xml3d.addEventListener("touchstart", this._evt_touchstart, false);
+            this.xml3d.addEventListener("touchend", this._evt_touchend, false);
+            this.xml3d.addEventListener("touchmove",this._evt_touchmove, false);
+            this.xml3d.addEventListener("touchcancel", this._evt_touchend, false);
+        }
 
         this.xml3d.addEventListener("contextmenu", this._evt_contextmenu, false);
-        if (this.options.useKeys)
-            document.addEventListener("keydown", this._evt_keydown, false);
+        this.xml3d.addEventListener("dblclick", this._evt_dblclick, false);
+        this.xml3d.addEventListener("wheel", this._evt_wheel, false);
+        //Keys only go to the camera whose <xml3d> element has the focus
+        this.addedAttributes = [];
+        this.setDefaultAttribute("tabindex", "0");
+        this.setDefaultAttribute("aria-label", this.options.label);
+        this.updateKeyAccessibility();
+        this.xml3d.addEventListener("keydown", this._evt_keydown, false);
+        this.xml3d.addEventListener("keyup", this._evt_keyup, false);
+        this.xml3d.addEventListener("focus", this._evt_focus, false);
+        this.xml3d.addEventListener("blur", this._evt_blur, false);
+        window.addEventListener("blur", this._evt_blur, false);
+        window.addEventListener("resize", this._evt_resize, false);
+        window.addEventListener("gamepadconnected", this._evt_gamepadconnected, false);
+        this.startGamepads();
+
+        document.addEventListener("pointerlockchange", this._evt_pointerlockchange, false);
+        document.addEventListener("mozpointerlockchange", this._evt_pointerlockchange, false);
+        document.addEventListener("mousemove", this._evt_pointerlockmove, false);
+
+        if (this.options.pivotIndicator && !this.pivotIndicator)
+            this.pivotIndicator = createPivotIndicator(this.xml3d);
+        if (document.activeElement === this.xml3d)
+            this.showFocusRing(true);
     };
 
     /**
-     * Stop listening for input events.
+     * Stop listening for input events. Transitions and inertia stop, a camera that was moving sends its cameraend
+     * event. Also ends keeping the view in the URL hash, see enableURLSync.
      */
     XML3D.StandardCamera.prototype.detach = function() {
-        this.xml3d.removeEventListener("mousedown", this._evt_mousedown, false);
-        document.removeEventListener("mouseup", this._evt_mouseup, false);
-        document.removeEventListener("mousemove",this._evt_mousemove, false);
+        this.stopTransition();
+        this.endInteraction();
+        this.keyMovement.stop();
+        this.disableURLSync();
+        this.changeEvents.stop();
+        //The frame loop that would end the movement stopped, so it ends here
+        if (this.moving) {
+            if (this.poseChanged) {
+                this.poseChanged = false;
+                this.dispatchCameraEvent("camerachange", this.getEventDetail());
+            }
+            this.moving = false;
+            this.dispatchCameraEvent("cameraend", this.getEventDetail());
+        }
+        if (this.usePointerEvents) {
+            this.xml3d.style.touchAction = this.prevTouchAction || "";
+
+            this.xml3d.removeEventListener("pointerdown", this._evt_pointerdown, false);
+            this.xml3d.removeEventListener("pointermove", this._evt_pointermove, false);
+            this.xml3d.removeEventListener("pointerup", this._evt_pointerup, false);
+            this.xml3d.removeEventListener("pointercancel", this._evt_pointercancel, false);
+            this.xml3d.removeEventListener("lostpointercapture", this._evt_pointercancel, false);
+        } else {
+            this.xml3d.removeEventListener("mousedown", this._evt_mousedown, false);
 
-        this.xml3d.removeEventListener("touchstart", this._evt_touchstart, false);
-        document.removeEventListener("touchend", this._evt_touchend, false);
-        document.removeEventListener("touchmove",this._evt_touchmove, false);
-        document.removeEventListener("touchcancel", this._evt_touchend, false);
+            this.xml3d.removeEventListener("touchstart", this._evt_touchstart, false);
+            this.xml3d.removeEventListener("touchend", this._evt_touchend, false);
+            this.xml3d.removeEventListener("touchmove",this._evt_touchmove, false);
+            this.xml3d.removeEventListener("touchcancel", this._evt_touchend, false);
+        }
 
         this.xml3d.removeEventListener("contextmenu", this._evt_contextmenu, false);
-        if (this.options.useKeys)
-            document.removeEventListener("keydown", this._evt_keydown, false);
+        this.xml3d.removeEventListener("dblclick", this._evt_dblclick, false);
+        this.xml3d.removeEventListener("wheel", this._evt_wheel, false);
+        this.showFocusRing(false);
+        (this.addedAttributes || []).forEach(function(name) {
+            this.xml3d.removeAttribute(name);
+        }, this);
+        this.addedAttributes = null;
+        this.removeLiveRegion();
+        this.xml3d.removeEventListener("keydown", this._evt_keydown, false);
+        this.xml3d.removeEventListener("keyup", this._evt_keyup, false);
+        this.xml3d.removeEventListener("focus", this._evt_focus, false);
+        this.xml3d.removeEventListener("blur", this._evt_blur, false);
+        window.removeEventListener("blur", this._evt_blur, false);
+        window.removeEventListener("resize", this._evt_resize, false);
+        window.removeEventListener("gamepadconnected", this._evt_gamepadconnected, false);
+        this.keysDown = {};
+        this.gamepadLoop.stop();
+        if (gamepadFocus.xml3d === this.xml3d)
+            gamepadFocus.xml3d = null;
+        this.gamepadActive = false;
+        this.gamepadButtons = {};
+
+        this.exitPointerLock();
+        document.removeEventListener("pointerlockchange", this._evt_pointerlockchange, false);
+        document.removeEventListener("mozpointerlockchange", this._evt_pointerlockchange, false);
+        document.removeEventListener("mousemove", this._evt_pointerlockmove, false);
+
+        window.clearTimeout(this.pivotFlashTimer);
+        this.pivotFlashTimer = null;
+        if (this.pivotIndicator) {
+            this.pivotIndicator.parentNode.removeChild(this.pivotIndicator);
+            this.pivotIndicator = null;
+        }
+    };
+
+
+    /**
+     * Lets the camera control another <view> element, e.g. to switch between several views of a scene, which may also
+     * be in another <xml3d> element. The interaction in progress ends and the camera continues from the pose of the
+     * new element, which also becomes the home view, see setHome. Dispatches an "elementchange" event on the previous element, the detail of the event holds the
+     * camera as well as the new and the previous element.
+     *
+     * @param {HTMLElement} element The element that this camera will control
+     * @param {{get: Function, set: Function}=} transform Stores the pose of the element, see the transform option
+     */
+    XML3D.StandardCamera.prototype.setElement = function(element, transform) {
+        if (!element) {
+            throw("Must provide an element to control!");
+        }
+        if (element === this.element)
+            return;
+
+        var self = this;
+        var previous = this.element;
+        var xml3d = this.getXML3DForElement(element);
+        this.stopTransition();
+        //The URL sync continues with the new element, detach would end it
+        var urlSync = this.urlSync;
+        if (urlSync) {
+            previous.removeEventListener("camerachange", urlSync.onCameraChange, false);
+            this.urlSync = null;
+        }
+        this.detach();
+
+        this.element = element;
+        this.xml3d = xml3d;
+        this.transformInterface = new TransformInterface(element, xml3d, transform);
+        this.transformInterface.onChange = function() { self.poseChange(); };
+        this.state.examinePoint = this.getInverseTranslationOfParent(element);
+        this.state.eyeHeight = null;
+        this.attach();
+        //The home view of the previous element is in another parent space
+        this.setHome();
+        if (urlSync) {
+            element.addEventListener("camerachange", urlSync.onCameraChange, false);
+            this.urlSync = urlSync;
+        }
+        var entries = this.elementListeners.slice();
+        entries.forEach(function(entry) {
+            setListeners(previous, entry.listeners, false);
+            setListeners(element, entry.listeners, true);
+        });
+        entries.forEach(function(entry) {
+            if (entry.onElementChange)
+                entry.onElementChange(element, previous);
+        });
+        this.dispatchCameraEvent("elementchange", {camera: this, element: element, previousElement: previous}, previous);
+    };
+
+    /**
+     * Adds event listeners to the element controlled by the camera, which move along to the new element when
+     * setElement switches to another view, e.g. for scripts that follow the camera.
+     *
+     * @param {Object} listeners Maps event types to listeners
+     * @param {function(HTMLElement, HTMLElement)=} onElementChange Called with the new and the previous element after
+     *     the listeners moved, before the elementchange event
+     */
+    XML3D.StandardCamera.prototype.addElementListeners = function(listeners, onElementChange) {
+        setListeners(this.element, listeners, true);
+        this.elementListeners.push({listeners: listeners, onElementChange: onElementChange});
+    };
+
+    /**
+     * Removes event listeners added with addElementListeners.
+     *
+     * @param {Object} listeners The object that was passed to addElementListeners
+     */
+    XML3D.StandardCamera.prototype.removeElementListeners = function(listeners) {
+        this.elementListeners = this.elementListeners.filter(function(entry) {
+            if (entry.listeners !== listeners)
+                return true;
+            setListeners(this.element, listeners, false);
+            return false;
+        }, this);
+    };
+
+    /**
+     * Keeps the view in the URL hash, so that links restore it. The hash is updated shortly after the camera moved,
+     * and the camera follows when the hash changes. Other parameters in the hash of the form key=value, separated
+     * by &, are kept. Values that do not describe a valid view are ignored.
+     *
+     * Options:
+     *  key: Name of the hash parameter, defaults to "camera"
+     *  delay: Milliseconds without camera movement before the hash is updated, defaults to 250
+     *  duration: Length of the transition when the hash changes, see flyTo
+     *
+     * @param {Object=} opts
+     */
+    XML3D.StandardCamera.prototype.enableURLSync = function(opts) {
+        this.disableURLSync();
+        opts = opts || {};
+        var self = this;
+        var sync = this.urlSync = {
+            key: opts.key || "camera",
+            delay: opts.delay !== undefined ? opts.delay : 250,
+            duration: opts.duration,
+            timer: null,
+            hash: null,
+            onCameraChange: function() {
+                window.clearTimeout(sync.timer);
+                sync.timer = window.setTimeout(function() { self.writeURLHash(); }, sync.delay);
+            },
+            onHashChange: function() {
+                self.readURLHash({duration: sync.duration});
+            }
+        };
+        this.element.addEventListener("camerachange", sync.onCameraChange, false);
+        window.addEventListener("hashchange", sync.onHashChange, false);
+        this.readURLHash({duration: 0});
+    };
+
+    /**
+     * Stops keeping the view in the URL hash. The hash stays as it is.
+     */
+    XML3D.StandardCamera.prototype.disableURLSync = function() {
+        var sync = this.urlSync;
+        if (!sync)
+            return;
+        window.clearTimeout(sync.timer);
+        this.element.removeEventListener("camerachange", sync.onCameraChange, false);
+        window.removeEventListener("hashchange", sync.onHashChange, false);
+        this.urlSync = null;
     };
 
 
@@ -195,51 +1125,719 @@
             ev.stopPropagation();
         ev.returnValue = false;
     };
-    
-    
-    XML3D.StandardCamera.prototype.NO_ACTION = null;
-    
-	// TODO: generic translate with customizable plane
-    XML3D.StandardCamera.prototype.TRANSLATE = {
-        move: function (x, y, dx, dy) {
-            var f = 2.0* Math.tan(this.transformInterface.fieldOfView/2.0) / this.height;
-            dx = f*dx * this.options.zoomSpeed;
-            dy = f*dy * this.options.zoomSpeed;
-            var trans = XML3D.Vec3.fromValues(-dx, dy, 0.0);
-            this.transformInterface.translate(this.transformInterface.inverseTransformOf(trans));
+
+    // The union of the world bounding boxes of the elements as box in the parent space of the camera element
+    var getBoundingBox = function(elements, tf) {
+        var min = null, max = null;
+        elements.forEach(function(element) {
+            if (!element || !element.getWorldBoundingBox)
+                return;
+            var bb = element.getWorldBoundingBox();
+            if (!bb || (bb.isEmpty && bb.isEmpty()))
+                return;
+            min = min ? XML3D.Vec3.fromValues(Math.min(min.x, bb.min.x), Math.min(min.y, bb.min.y), Math.min(min.z, bb.min.z)) : bb.min.clone();
+            max = max ? XML3D.Vec3.fromValues(Math.max(max.x, bb.max.x), Math.max(max.y, bb.max.y), Math.max(max.z, bb.max.z)) : bb.max.clone();
+        });
+        if (!min)
+            return null;
+
+        getBoxCorners({min: min, max: max}).forEach(function(corner, i) {
+            corner = tf.worldToParent(corner);
+            min = i ? XML3D.Vec3.fromValues(Math.min(min.x, corner.x), Math.min(min.y, corner.y), Math.min(min.z, corner.z)) : corner;
+            max = i ? XML3D.Vec3.fromValues(Math.max(max.x, corner.x), Math.max(max.y, corner.y), Math.max(max.z, corner.z)) : corner;
+        });
+        return {min: min, max: max};
+    };
+
+    var getBoxCorners = function(box) {
+        var corners = [];
+        for (var i = 0; i < 8; i++) {
+            corners.push(XML3D.Vec3.fromValues(
+                i & 1 ? box.max.x : box.min.x,
+                i & 2 ? box.max.y : box.min.y,
+                i & 4 ? box.max.z : box.min.z
+            ));
+        }
+        return corners;
+    };
+
+    XML3D.StandardCamera.prototype.getViewOrientation = function(direction) {
+        var up = this.options.upVector.normalize();
+        if (Math.abs(direction.dot(up)) > 0.999) {
+            var front = this.getAzimuthReference(up);
+            up = direction.dot(up) < 0 ? front.negate() : front;
+        }
+        var tf = this.transformInterface;
+        return tf.lookAtOrientation(tf.position.add(direction), up);
+    };
+
+    var toArray = function(vec) {
+        return Array.prototype.slice.call(vec.data);
+    };
+
+    var isFiniteNumber = function(value) {
+        return typeof value === "number" && isFinite(value);
+    };
+
+    // Returns the value as array if it is an array or vector of the given number of finite numbers and null otherwise
+    var toVector = function(value, length) {
+        var data = value && value.data ? value.data : value;
+        if (!data || typeof data !== "object" || data.length !== length)
+            return null;
+        var array = Array.prototype.slice.call(data);
+        return array.every(isFiniteNumber) ? array : null;
+    };
+
+    var samePoint = function(a, b) {
+        for (var i = 0; i < a.length; i++) {
+            if (Math.abs(a[i] - b[i]) > 1e-5)
+                return false;
+        }
+        return true;
+    };
+
+    // Compares two poses {position, orientation} given as arrays, q and -q are the same orientation
+    var samePose = function(a, b) {
+        var q = b.orientation;
+        return samePoint(a.position, b.position) &&
+            (samePoint(a.orientation, q) || samePoint(a.orientation, [-q[0], -q[1], -q[2], -q[3]]));
+    };
+
+    // -----------------------------------------------------
+    // URL hash
+    // -----------------------------------------------------
+
+    // Longer hashes are not generated by us and are ignored
+    var MAX_HASH_LENGTH = 2000;
+    // Coordinates beyond this magnitude are treated as invalid
+    var MAX_COORDINATE = 1e9;
+
+    var formatNumber = function(value, digits) {
+        return String(Number(value.toFixed(digits)));
+    };
+
+    // position, orientation, examine point and mode as comma separated list
+    var encodeViewState = function(state) {
+        var values = state.position.map(function(v) { return formatNumber(v, 4); })
+            .concat(state.orientation.map(function(v) { return formatNumber(v, 6); }))
+            .concat((state.examinePoint || []).map(function(v) { return formatNumber(v, 4); }));
+        return values.join(",") + (state.examinePoint ? "" : ",,,") + "," + encodeURIComponent(state.mode);
+    };
+
+    var decodeViewState = function(value, modes) {
+        var parts = value.split(",");
+        if (parts.length !== 11)
+            return null;
+        var numbers = parts.slice(0, 10).map(function(part) {
+            return /^-?(\d+\.?\d*|\.\d+)(e[-+]?\d+)?$/i.test(part) ? parseFloat(part) : NaN;
+        });
+        var valid = function(v) { return isFinite(v) && Math.abs(v) < MAX_COORDINATE; };
+        if (!numbers.slice(0, 7).every(valid))
+            return null;
+
+        var orientation = numbers.slice(3, 7);
+        var length = Math.sqrt(orientation.reduce(function(sum, v) { return sum + v * v; }, 0));
+        if (length < 1e-3)
+            return null;
+
+        var mode;
+        try {
+            mode = decodeURIComponent(parts[10]);
+        } catch (e) {
+            return null;
+        }
+        var examinePoint = numbers.slice(7, 10);
+        return {
+            position: numbers.slice(0, 3),
+            orientation: orientation.map(function(v) { return v / length; }),
+            examinePoint: examinePoint.every(valid) ? examinePoint : null,
+            mode: modes.hasOwnProperty(mode) ? mode : undefined
+        };
+    };
+
+    var parseHashParameters = function(hash) {
+        hash = hash.replace(/^#/, "");
+        if (!hash)
+            return [];
+        return hash.split("&").map(function(parameter) {
+            var index = parameter.indexOf("=");
+            return index == -1 ? [parameter, null] : [parameter.substring(0, index), parameter.substring(index + 1)];
+        });
+    };
+
+    XML3D.StandardCamera.prototype.readURLHash = function(opts) {
+        var hash = window.location.hash;
+        if (hash.length > MAX_HASH_LENGTH || hash === this.urlSync.hash)
+            return;
+        var key = this.urlSync.key;
+        var parameters = parseHashParameters(hash).filter(function(parameter) { return parameter[0] === key; });
+        if (!parameters.length || parameters[0][1] === null)
+            return;
+        var state = decodeViewState(parameters[0][1], this.MODES);
+        if (!state) {
+            XML3D.debug.logWarning("Ignoring invalid camera state in URL hash");
+            return;
+        }
+        this.urlSync.hash = hash;
+        this.setState(state, opts);
+    };
+
+    XML3D.StandardCamera.prototype.writeURLHash = function() {
+        var sync = this.urlSync;
+        if (!sync)
+            return;
+        var value = encodeViewState(this.getState());
+        var found = false;
+        var parameters = parseHashParameters(window.location.hash).map(function(parameter) {
+            if (parameter[0] !== sync.key)
+                return parameter[1] === null ? parameter[0] : parameter.join("=");
+            found = true;
+            return sync.key + "=" + value;
+        });
+        if (!found)
+            parameters.push(sync.key + "=" + value);
+
+        var hash = "#" + parameters.join("&");
+        if (hash === window.location.hash)
+            return;
+        sync.hash = hash;
+        if (window.history && window.history.replaceState)
+            window.history.replaceState(window.history.state, "", hash);
+        else
+            window.location.replace(hash);
+    };
+
+    // -----------------------------------------------------
+    // camera events
+    // -----------------------------------------------------
+
+    var setListeners = function(element, listeners, on) {
+        var method = on ? "addEventListener" : "removeEventListener";
+        for (var type in listeners)
+            element[method](type, listeners[type], false);
+    };
+
+    XML3D.StandardCamera.prototype.poseChange = function() {
+        this.poseChanged = true;
+        if (!this.moving) {
+            this.moving = true;
+            this.dispatchCameraEvent("camerastart", this.getEventDetail());
+        }
+        this.changeEvents.start();
+    };
+
+    /**
+     * Sends at most one camerachange event per frame and a cameraend event once the camera came to rest
+     */
+    XML3D.StandardCamera.prototype.dispatchChangeEvents = function() {
+        this.updatePivotIndicator();
+        if (this.poseChanged) {
+            this.poseChanged = false;
+            this.dispatchCameraEvent("camerachange", this.getEventDetail());
+            return true;
+        }
+        if (this.action || this.transition || this.inertia || this.keyMovement.running || this.gamepadActive)
+            return true;
+        this.moving = false;
+        this.dispatchCameraEvent("cameraend", this.getEventDetail());
+        if (this.announcePending) {
+            this.announcePending = false;
+            this.announce(this.describeView());
+        }
+        return false;
+    };
+
+    XML3D.StandardCamera.prototype.getEventDetail = function() {
+        var detail = this.getState();
+        detail.camera = this;
+        return detail;
+    };
+
+    XML3D.StandardCamera.prototype.dispatchCameraEvent = function(type, detail, target) {
+        var event;
+        if (typeof window.CustomEvent === "function") {
+            event = new CustomEvent(type, {bubbles: true, detail: detail});
+        } else {
+            event = document.createEvent("CustomEvent");
+            event.initCustomEvent(type, true, false, detail);
+        }
+        (target || this.element).dispatchEvent(event);
+    };
+
+    XML3D.StandardCamera.prototype.startTransition = function(target, opts) {
+        opts = opts || {};
+        this.stopTransition();
+
+        var self = this;
+        var tf = this.transformInterface;
+        var from = {position: tf.position, orientation: tf.orientation, orthoHeight: tf.orthoHeight};
+        var duration = opts.duration !== undefined ? opts.duration : this.options.animationDuration;
+        var easing = opts.easing || this.options.easing;
+        if (typeof easing === "string")
+            easing = XML3D.StandardCamera.EASING[easing] || XML3D.StandardCamera.EASING.linear;
+
+        var resolve = null;
+        var promise = window.Promise ? new Promise(function(r) { resolve = r; }) : undefined;
+        var elapsed = 0;
+
+        var transition = this.transition = {
+            cancelOnInput: opts.cancelOnInput !== false,
+            loop: new FrameLoop(function(dt) {
+                elapsed += dt * 1000;
+                var t = Math.min(elapsed / duration, 1);
+                self.interpolatePose(from, target, easing(t));
+                if (t < 1)
+                    return true;
+                transition.finish(true);
+                return false;
+            }),
+            finish: function(completed) {
+                transition.loop.stop();
+                if (self.transition === transition)
+                    self.transition = null;
+                if (opts.callback)
+                    opts.callback(completed);
+                if (resolve)
+                    resolve(completed);
+            }
+        };
+
+        if (duration > 0) {
+            transition.loop.start();
+        } else {
+            tf.orientation = target.orientation;
+            tf.position = target.position;
+            if (target.orthoHeight && tf.orthographic)
+                tf.orthoHeight = target.orthoHeight;
+            this.applyConstraints();
+            transition.finish(true);
+        }
+        return promise;
+    };
+
+    XML3D.StandardCamera.prototype.interpolatePose = function(from, to, t) {
+        var position = new XML3D.Vec3();
+        var orientation = new XML3D.Quat();
+        XML3D.math.vec3.lerp(position.data, from.position.data, to.position.data, t);
+        XML3D.math.quat.slerp(orientation.data, from.orientation.data, to.orientation.data, t);
+        this.transformInterface.orientation = orientation.normalize();
+        this.transformInterface.position = position;
+        if (from.orthoHeight && to.orthoHeight && this.transformInterface.orthographic)
+            this.transformInterface.orthoHeight = from.orthoHeight * Math.pow(to.orthoHeight / from.orthoHeight, t);
+        this.applyConstraints();
+    };
+
+    // Distance from the camera to the examine point along the view direction, where the framing of the perspective
+    // and the orthographic view match
+    XML3D.StandardCamera.prototype.getFocusDistance = function() {
+        var tf = this.transformInterface;
+        if (this.state.examinePoint) {
+            var distance = this.state.examinePoint.subtract(tf.position).dot(tf.direction);
+            if (distance > 0)
+                return distance;
+        }
+        return this.options.zoomSpeed;
+    };
+
+    /**
+     * Called whenever the user starts an interaction, stops anything that moves the camera on its own
+     */
+    XML3D.StandardCamera.prototype.interrupt = function() {
+        if (this.transition && this.transition.cancelOnInput)
+            this.stopTransition();
+        this.stopInertia();
+        gamepadFocus.xml3d = this.xml3d;
+        this.startGamepads();
+    };
+
+    /**
+     * Ends the current user interaction without inertia, the pointers that are still down do nothing until released
+     */
+    XML3D.StandardCamera.prototype.endInteraction = function() {
+        this.stopInertia();
+        if (!this.action)
+            return;
+        if (this.pickingSuppressed) {
+            this.endMouseAction(this.prevPos.x, this.prevPos.y, true);
+        } else {
+            var end = getTouchCenter(this.prevTouchPositions);
+            this.endAction(end.x, end.y, true);
+        }
+    };
+
+    // -----------------------------------------------------
+    // constraints
+    // -----------------------------------------------------
+
+    var DEFAULT_CONSTRAINTS = {
+        minDistance: 0,
+        maxDistance: Infinity,
+        minPolarAngle: 0,
+        maxPolarAngle: Math.PI,
+        minAzimuth: -Infinity,
+        maxAzimuth: Infinity,
+        azimuthReference: null,
+        bounds: null
+    };
+
+    var clamp = function(value, min, max) {
+        return Math.min(Math.max(value, min), max);
+    };
+
+    // A minimum above the maximum is a range across +-PI, outside of it the angle snaps to the closer limit
+    var clampAzimuth = function(angle, min, max) {
+        if (min <= max)
+            return clamp(angle, min, max);
+        if (angle >= min || angle <= max)
+            return angle;
+        return min - angle < angle - max ? min : max;
+    };
+
+    // Dollying and zooming around the examine point stop this fraction of the zoomSpeed before it
+    var MIN_DOLLY_DISTANCE = 0.005;
+
+    /**
+     * Limits a movement towards the examine point, e.g. by dollying or zooming, so that it does not come closer than
+     * minDistance. Modes that orbit the examine point also never pass through it, the mouselook modes only do with
+     * minDistance. Movements that start closer may only move away.
+     */
+    XML3D.StandardCamera.prototype.clampDistance = function(from, to) {
+        var center = this.state.examinePoint;
+        var min = this.constraints.minDistance;
+        if (!min && !this.getModeOption("mouselook"))
+            min = this.options.zoomSpeed * MIN_DOLLY_DISTANCE;
+        if (!center || !min)
+            return to;
+        var start = from.subtract(center);
+        var move = to.subtract(from);
+        var a = move.dot(move);
+        if (!a)
+            return to;
+        // The point of the movement that is closest to the examine point
+        var t = clamp(-start.dot(move) / a, 0, 1);
+        if (start.add(move.scale(t)).length() >= min)
+            return to;
+        var c = start.dot(start) - min * min;
+        if (c <= 0)
+            return t > 0 ? from : to;
+        var b = 2 * start.dot(move);
+        return from.add(move.scale((-b - Math.sqrt(Math.max(b * b - 4 * a * c, 0))) / (2 * a)));
+    };
+
+    /**
+     * Clamps the camera pose to the constraints. Angular constraints rotate the camera around the examine point,
+     * so that it keeps looking at the same point.
+     */
+    XML3D.StandardCamera.prototype.applyConstraints = function() {
+        var c = this.constraints;
+        var tf = this.transformInterface;
+        var center = this.state.examinePoint;
+        var position = tf.position;
+        var orientation = tf.orientation;
+        var rotation = null;
+        var moved = false;
+
+        if (center) {
+            var up = this.options.upVector.normalize();
+            var offset = position.subtract(center);
+            var distance = offset.length();
+
+            if (distance > 0 && (c.minAzimuth > -Infinity || c.maxAzimuth < Infinity)) {
+                var front = this.getAzimuthReference(up);
+                var side = up.cross(front);
+                var azimuth = Math.atan2(offset.dot(side), offset.dot(front));
+                var clampedAzimuth = clampAzimuth(azimuth, c.minAzimuth, c.maxAzimuth);
+                if (clampedAzimuth != azimuth)
+                    rotation = XML3D.Quat.fromAxisAngle(up, clampedAzimuth - azimuth);
+            }
+            if (rotation)
+                offset = offset.transformQuat(rotation);
+
+            if (distance > 0 && (c.minPolarAngle > 0 || c.maxPolarAngle < Math.PI)) {
+                var polar = Math.acos(clamp(offset.dot(up) / distance, -1, 1));
+                var clampedPolar = clamp(polar, c.minPolarAngle, c.maxPolarAngle);
+                if (clampedPolar != polar) {
+                    var axis = up.cross(offset);
+                    if (axis.length() < 1e-6)
+                        axis = tf.rightVector;
+                    var tilt = XML3D.Quat.fromAxisAngle(axis.normalize(), clampedPolar - polar);
+                    offset = offset.transformQuat(tilt);
+                    rotation = rotation ? tilt.mul(rotation) : tilt;
+                }
+            }
+
+            var clampedDistance = clamp(distance, c.minDistance, c.maxDistance);
+            if (distance > 0 && clampedDistance != distance)
+                offset = offset.scale(clampedDistance / distance);
+
+            if (rotation || (distance > 0 && clampedDistance != distance)) {
+                position = center.add(offset);
+                moved = true;
+            }
+        }
+
+        var bounded = this.clampToBounds(position);
+        if (bounded !== position)
+            moved = true;
+        if (rotation)
+            tf.orientation = rotation.mul(orientation).normalize();
+        if (moved)
+            tf.position = bounded;
+    };
+
+    XML3D.StandardCamera.prototype.getAzimuthReference = function(up) {
+        var reference = this.constraints.azimuthReference;
+        reference = reference ? new XML3D.Vec3(reference) : XML3D.Vec3.fromValues(0, 0, 1);
+        var front = reference.subtract(up.scale(reference.dot(up)));
+        if (front.length() < 1e-6) {
+            reference = XML3D.Vec3.fromValues(0, -1, 0);
+            front = reference.subtract(up.scale(reference.dot(up)));
+        }
+        return front.normalize();
+    };
+
+    XML3D.StandardCamera.prototype.clampToBounds = function(position) {
+        var bounds = this.constraints.bounds;
+        if (!bounds)
+            return position;
+
+        if (bounds.radius !== undefined) {
+            var center = new XML3D.Vec3(bounds.center);
+            var offset = position.subtract(center);
+            var distance = offset.length();
+            return distance > bounds.radius ? center.add(offset.scale(bounds.radius / distance)) : position;
+        }
+
+        var min, max;
+        if (bounds.getWorldBoundingBox) {
+            var bb = getBoundingBox([bounds], this.transformInterface);
+            if (!bb)
+                return position;
+            min = bb.min;
+            max = bb.max;
+        } else {
+            min = new XML3D.Vec3(bounds.min);
+            max = new XML3D.Vec3(bounds.max);
+        }
+        var clamped = XML3D.Vec3.fromValues(
+            clamp(position.x, min.x, max.x),
+            clamp(position.y, min.y, max.y),
+            clamp(position.z, min.z, max.z)
+        );
+        return clamped.subtract(position).length() ? clamped : position;
+    };
+
+    XML3D.StandardCamera.prototype.startAction = function(action, x, y) {
+        if (this.action)
+            this.endAction(x, y, true);
+        this.action = action;
+        this.motionHistory = [];
+        this.lastMotionTime = now();
+        if (action.start)
+            action.start.call(this, x, y);
+        this.updatePivotIndicator();
+    };
+
+    XML3D.StandardCamera.prototype.moveAction = function(x, y, dx, dy) {
+        var move = this.action.move;
+        if (move)
+            move.call(this, x, y, dx, dy);
+        this.applyConstraints();
+        this.recordMotion(dx, dy);
+    };
+
+    XML3D.StandardCamera.prototype.endAction = function(x, y, skipInertia) {
+        var action = this.action;
+        this.action = this.NO_ACTION;
+        if (!action)
+            return;
+
+        var velocity = skipInertia ? null : this.releaseVelocity();
+        if (velocity && action.inertia && this.options.inertia) {
+            this.startInertia(action, x, y, velocity);
+        } else if (action.end) {
+            action.end.call(this, x, y);
+        }
+        this.updatePivotIndicator();
+    };
+
+    // -----------------------------------------------------
+    // inertia
+    // -----------------------------------------------------
+
+    // Only pointer motion within this many milliseconds before the release contributes to the inertia velocity
+    var INERTIA_SAMPLE_WINDOW = 100;
+
+    // Gestures also record how far the fingers spread and twisted
+    XML3D.StandardCamera.prototype.recordMotion = function(dx, dy, gesture) {
+        var time = now();
+        var history = this.motionHistory;
+        history.push({time: time, dt: time - this.lastMotionTime, dx: dx, dy: dy,
+            spread: gesture ? gesture.spread : 0, twist: gesture ? gesture.twist : 0});
+        this.lastMotionTime = time;
+        while (history.length && history[0].time < time - INERTIA_SAMPLE_WINDOW)
+            history.shift();
+    };
+
+    XML3D.StandardCamera.prototype.releaseVelocity = function() {
+        var time = now();
+        var sx = 0, sy = 0, sspread = 0, stwist = 0, st = 0;
+        this.motionHistory.forEach(function(sample) {
+            if (sample.time < time - INERTIA_SAMPLE_WINDOW)
+                return;
+            sx += sample.dx;
+            sy += sample.dy;
+            sspread += sample.spread;
+            stwist += sample.twist;
+            st += Math.min(sample.dt, INERTIA_SAMPLE_WINDOW);
+        });
+        // The pointer rested before it was released
+        if (!st || time - this.lastMotionTime > INERTIA_SAMPLE_WINDOW / 2)
+            return null;
+        return {x: sx * 1000 / st, y: sy * 1000 / st, spread: sspread * 1000 / st, twist: stwist * 1000 / st};
+    };
+
+    XML3D.StandardCamera.prototype.startInertia = function(action, x, y, velocity) {
+        var self = this;
+        var friction = this.options.inertiaFriction;
+        var minSpeed = this.options.inertiaMinSpeed;
+        var speed = function() {
+            return Math.sqrt(velocity.x * velocity.x + velocity.y * velocity.y +
+                velocity.spread * velocity.spread + velocity.twist * velocity.twist);
+        };
+        if (speed() < minSpeed) {
+            if (action.end)
+                action.end.call(this, x, y);
+            return;
+        }
+
+        var inertia = this.inertia = {
+            action: action,
+            loop: new FrameLoop(function(dt) {
+                var dx = velocity.x * dt;
+                var dy = velocity.y * dt;
+                x += dx;
+                y += dy;
+                if (action.gesture)
+                    action.gesture.call(self, x, y, {dx: dx, dy: dy, spread: velocity.spread * dt, twist: velocity.twist * dt});
+                else if (action.move)
+                    action.move.call(self, x, y, dx, dy);
+                self.applyConstraints();
+
+                var decay = Math.exp(-friction * dt);
+                velocity.x *= decay;
+                velocity.y *= decay;
+                velocity.spread *= decay;
+                velocity.twist *= decay;
+                if (speed() >= minSpeed)
+                    return true;
+                inertia.finish();
+                return false;
+            }),
+            finish: function() {
+                inertia.loop.stop();
+                if (self.inertia === inertia)
+                    self.inertia = null;
+                if (action.end)
+                    action.end.call(self, x, y);
+            }
+        };
+        inertia.loop.start();
+    };
+
+    XML3D.StandardCamera.prototype.stopInertia = function() {
+        if (this.inertia)
+            this.inertia.finish();
+    };
+    
+    
+    XML3D.StandardCamera.prototype.NO_ACTION = null;
+    
+    XML3D.StandardCamera.prototype.TRANSLATE = {
+        inertia: true,
+        move: function (x, y, dx, dy) {
+            var f;
+            if (this.transformInterface.orthographic) {
+                //The scene follows the pointer exactly
+                f = this.transformInterface.orthoHeight / this.height;
+            } else {
+                f = 2.0* Math.tan(this.transformInterface.fieldOfView/2.0) / this.height * this.options.zoomSpeed;
+            }
+            dx = f*dx;
+            dy = f*dy;
+            var trans = XML3D.Vec3.fromValues(-dx, dy, 0.0);
+            trans = this.transformInterface.inverseTransformOf(trans);
+
+            //Slide along the view direction onto the pan plane, so that the scene still follows the pointer
+            var normal = this.getPanPlane("view").normal;
+            var direction = this.transformInterface.direction;
+            var slope = direction.dot(normal);
+            if (Math.abs(slope) > 1e-3)
+                trans = trans.subtract(direction.scale(trans.dot(normal) / slope));
+            else
+                trans = trans.subtract(normal.scale(trans.dot(normal)));
+            this.transformInterface.translate(trans);
         }
     };
     
     XML3D.StandardCamera.prototype.DOLLY = {
         move: function (x, y, dx, dy) {
             dy = this.options.zoomSpeed * dy / this.height;
-            this.transformInterface.translate(this.transformInterface.inverseTransformOf(XML3D.Vec3.fromValues(0, 0, dy)));
+            if (this.transformInterface.orthographic) {
+                //Moving closer would not change an orthographic view, scale it like a perspective view would
+                this.transformInterface.orthoHeight *= Math.exp(dy / this.getFocusDistance());
+                return;
+            }
+            var tf = this.transformInterface;
+            var position = tf.position;
+            tf.position = this.clampDistance(position, position.add(tf.inverseTransformOf(XML3D.Vec3.fromValues(0, 0, dy))));
         }
     };
     
-	// TODO: generic rotate with customizable axis
     XML3D.StandardCamera.prototype.ROTATE = {
+        inertia: true,
         start: function (x, y) {
             if (!this.options.updateExaminePoint) return;
-            var ray = this.xml3d.generateRay(x, y);
+            var ray = this.generateRay(x, y);
             this.state.examinePoint = this.intersectScene(ray);
         },
         move: function (x, y, dx, dy) {
+            if (!this.state.examinePoint) return;
+
+            var tf = this.transformInterface;
+            var style = this.getModeOption("rotateStyle");
+            if (style == "trackball") {
+                var from = this.getTrackballVector(x - dx, y - dy);
+                var to = this.getTrackballVector(x, y);
+                var axis = from.cross(to);
+                if (!axis.length()) return;
+                //The scene follows the pointer, so the camera turns the other way
+                var angle = Math.acos(clamp(from.normalize().dot(to.normalize()), -1, 1));
+                tf.orbit(XML3D.Quat.fromAxisAngle(tf.inverseTransformOf(axis), -angle), this.state.examinePoint);
+                return;
+            }
+
             dx = -this.options.rotateSpeed * dx * 2.0 * Math.PI / this.width;
             dy = -this.options.rotateSpeed * dy * 2.0 * Math.PI / this.height;
 
-            var mx = XML3D.Quat.fromAxisAngle([0,1,0], dx);
-            var my = XML3D.Quat.fromAxisAngle([1,0,0], dy);
-            mx = mx.mul(my);
-            this.transformInterface.rotateAroundPoint(mx, this.state.examinePoint);
+            if (style == "axis") {
+                var rotateAxis = toVector(this.getModeOption("rotateAxis"), 3);
+                rotateAxis = rotateAxis ? new XML3D.Vec3(rotateAxis) : this.options.upVector;
+                tf.orbit(XML3D.Quat.fromAxisAngle(rotateAxis, dx), this.state.examinePoint);
+                return;
+            }
+
+            var mx = XML3D.Quat.fromAxisAngle(this.options.upVector, dx);
+            var my = XML3D.Quat.fromAxisAngle(tf.rightVector, dy);
+            tf.orbit(mx.mul(my), this.state.examinePoint);
         }
     };
 	
-	// TODO: generic rotate with customizable axis
     XML3D.StandardCamera.prototype.ORBIT = {
+        inertia: true,
         start: function (x, y) {
             if (!this.options.updateExaminePoint) return;
-            var ray = this.xml3d.generateRay(x, y);
+            var ray = this.generateRay(x, y);
             this.state.examinePoint = this.intersectScene(ray);
         },
         move: function (x, y, dx, dy) {
@@ -262,7 +1860,8 @@
             var diff = tf.position.subtract(this.state.examinePoint);
             var rotated = diff.transformQuat(q1);
             
-            if (dir.y < 0 || dir.y > 0.95) {
+            var elevation = dir.dot(this.options.upVector.normalize());
+            if (elevation < 0 || elevation > 0.95) {
                 rotated = diff.transformQuat(mx);
                 q2 = q0;
             }
@@ -274,6 +1873,7 @@
 
     
     XML3D.StandardCamera.prototype.LOOKAROUND = {
+        inertia: true,
         move: function (x, y, dx, dy) {
             dx = -this.options.rotateSpeed * dx * 2.0 * Math.PI / this.width;
             dy = this.options.rotateSpeed * dy * 2.0 * Math.PI / this.height;
@@ -286,17 +1886,18 @@
         }
     };
     
-	// TODO: generic translate with customizable plane
     XML3D.StandardCamera.prototype.PANNING = {
+        inertia: true,
         start: function (x, y) {
-            var ray = this.xml3d.generateRay(x, y);
-            this.state.dragPoint = this.intersectScene(ray);
+            var ray = this.generateRay(x, y);
+            var plane = this.getPanPlane("ground");
+            this.state.dragPoint = plane.point ? this.intersect_ray_plane(ray, plane.normal, plane.point) : this.intersectScene(ray);
         },
         move: function (x, y, dx, dy) {
             if (!this.state.dragPoint) return;
             
-            var ray = this.xml3d.generateRay(x, y);
-            var hitpoint = this.intersect_ray_plane(ray, XML3D.Vec3.fromValues(0.0, 1.0, 0.0), this.state.dragPoint);
+            var ray = this.generateRay(x, y);
+            var hitpoint = this.intersect_ray_plane(ray, this.getPanPlane("ground").normal, this.state.dragPoint);
             if (!hitpoint) return;
             
             var diff = this.state.dragPoint.subtract(hitpoint);
@@ -309,321 +1910,1545 @@
 
     
     
+    XML3D.StandardCamera.prototype.ROLL = {
+        move: function (x, y, dx, dy) {
+            var angle = this.options.rotateSpeed * dx * 2.0 * Math.PI / this.width;
+            this.transformInterface.rotate(XML3D.Quat.fromAxisAngle([0,0,1], angle));
+        }
+    };
+
+    /**
+     * Creates a touch action that combines up to three actions into one gesture of two fingers. The pan action follows
+     * the midpoint between the fingers, the pinch action their change in distance, where spreading them moves towards
+     * the scene, and the twist action their change in angle, scaled so that rotating actions turn as far as the
+     * fingers did. Each part is optional and may be given as action or action name, e.g.
+     * {pan: "TRANSLATE", pinch: "DOLLY", twist: "ROLL"}.
+     *
+     * @param {Object} actions
+     * @return {Object} An action that can be bound to touch input
+     */
+    XML3D.StandardCamera.createGesture = function(actions) {
+        actions = {
+            pan: actions.pan && resolveAction(actions.pan),
+            pinch: actions.pinch && resolveAction(actions.pinch),
+            twist: actions.twist && resolveAction(actions.twist)
+        };
+        var parts = [actions.pan, actions.pinch, actions.twist].filter(function(action) { return !!action; });
+        var call = function(camera, method, args) {
+            parts.forEach(function(action) {
+                if (action[method])
+                    action[method].apply(camera, args);
+            });
+        };
+        // Applies the change of the midpoint, the spread and the twist in pixels, also during inertia
+        var gesture = function(camera, x, y, motion) {
+            if (actions.pan && actions.pan.move)
+                actions.pan.move.call(camera, x, y, motion.dx, motion.dy);
+            if (actions.pinch && actions.pinch.move)
+                actions.pinch.move.call(camera, x, y, 0, -motion.spread);
+            if (actions.twist && actions.twist.move)
+                actions.twist.move.call(camera, x, y, motion.twist, 0);
+        };
+
+        return {
+            pan: actions.pan,
+            pinch: actions.pinch,
+            twist: actions.twist,
+            start: function (x, y) {
+                call(this, "start", arguments);
+            },
+            move: function (x, y, dx, dy) {
+                if (actions.pan && actions.pan.move)
+                    actions.pan.move.call(this, x, y, dx, dy);
+            },
+            end: function (x, y) {
+                call(this, "end", arguments);
+            },
+            gesture: function (x, y, motion) {
+                gesture(this, x, y, motion);
+            },
+            touch: function (touchPositions, prevTouchPositions) {
+                var center = getTouchCenter(touchPositions);
+                var prevCenter = getTouchCenter(prevTouchPositions);
+                var dx = touchPositions[1].x - touchPositions[0].x;
+                var dy = touchPositions[1].y - touchPositions[0].y;
+                var pdx = prevTouchPositions[1].x - prevTouchPositions[0].x;
+                var pdy = prevTouchPositions[1].y - prevTouchPositions[0].y;
+
+                var angle = Math.atan2(dy, dx) - Math.atan2(pdy, pdx);
+                if (angle > Math.PI) angle -= 2 * Math.PI;
+                if (angle < -Math.PI) angle += 2 * Math.PI;
+                var motion = {
+                    dx: center.x - prevCenter.x,
+                    dy: center.y - prevCenter.y,
+                    spread: Math.sqrt(dx * dx + dy * dy) - Math.sqrt(pdx * pdx + pdy * pdy),
+                    twist: angle * this.width / (2.0 * Math.PI * this.options.rotateSpeed)
+                };
+                gesture(this, center.x, center.y, motion);
+                return motion;
+            },
+            // Flicking two fingers keeps panning, pinching and twisting alike
+            inertia: true
+        };
+    };
+
+    XML3D.StandardCamera.prototype.ZOOM = {
+        wheel: function (x, y, delta) {
+            var tf = this.transformInterface;
+            var position = tf.position;
+            var factor = Math.exp(delta * this.options.wheelZoomSpeed);
+            var ray = this.generateRay(x, y);
+            if (tf.orthographic) {
+                //Scale the view around the point under the cursor
+                tf.orthoHeight *= factor;
+                tf.position = position.add(ray.origin.subtract(position).scale(1 - factor));
+                return;
+            }
+            var target = this.intersectScene(ray);
+
+            var newPos;
+            if (target) {
+                newPos = target.add(position.subtract(target).scale(factor));
+            } else {
+                var distance = this.state.examinePoint ? position.subtract(this.state.examinePoint).length() : this.options.zoomSpeed;
+                newPos = position.add(ray.direction.scale(distance * (1 - factor)));
+            }
+            tf.position = this.clampDistance(position, newPos);
+        }
+    };
+
+    // Resolves the panPlane option to {normal, point}, the point is only set if the plane has a fixed position
+    XML3D.StandardCamera.prototype.getPanPlane = function(defaultPlane) {
+        var plane = this.getModeOption("panPlane") || defaultPlane;
+        if (typeof plane === "function")
+            plane = plane.call(this, this) || defaultPlane;
+
+        if (typeof plane !== "string") {
+            var normal = plane && toVector(plane.normal, 3);
+            if (normal && (normal[0] || normal[1] || normal[2])) {
+                var point = toVector(plane.point, 3);
+                return {normal: new XML3D.Vec3(normal).normalize(), point: point ? new XML3D.Vec3(point) : undefined};
+            }
+            XML3D.debug.logWarning("Invalid pan plane, using '" + defaultPlane + "' instead");
+            plane = defaultPlane;
+        }
+        if (plane == "view")
+            return {normal: this.transformInterface.direction.negate()};
+        return {normal: this.options.upVector.normalize()};
+    };
+
+    // Maps a position on the canvas to a virtual sphere for trackball rotation, outside of the sphere the vectors
+    // lie on a hyperbolic sheet so that the rotation continues smoothly
+    XML3D.StandardCamera.prototype.getTrackballVector = function(x, y) {
+        var position = this.getCanvasPosition(x, y);
+        var radius = Math.min(this.width, this.height) / 2;
+        var px = (position.x - this.width / 2) / radius;
+        var py = (this.height / 2 - position.y) / radius;
+        var d2 = px * px + py * py;
+        return XML3D.Vec3.fromValues(px, py, d2 <= 0.5 ? Math.sqrt(1 - d2) : 0.5 / Math.sqrt(d2));
+    };
+
+    XML3D.StandardCamera.prototype.getCanvasPosition = function(x, y) {
+        var rect = this.xml3d.getBoundingClientRect();
+        return {x: x - rect.left - window.pageXOffset, y: y - rect.top - window.pageYOffset};
+    };
+
+    // Rays and the resulting points are in the parent space of the camera element, picking works in world space
     XML3D.StandardCamera.prototype.intersectScene = function(ray) {
         if (this.options.dragging) {
+            var tf = this.transformInterface;
             var hitpoint = new XML3D.Vec3();
-            this.xml3d.getElementByRay(ray, hitpoint);
+            this.xml3d.getElementByRay(new XML3D.Ray(tf.parentToWorld(ray.origin), tf.parentToWorldDirection(ray.direction)), hitpoint);
             if (!isNaN(XML3D.math.vec3.sqrLen(hitpoint.data)))
-                return hitpoint;
+                return tf.worldToParent(hitpoint);
         }
         
-        return this.intersect_xz_plane(ray);
+        return this.intersect_ground_plane(ray);
     }
     
-    XML3D.StandardCamera.prototype.MODES = {};
-    
-    XML3D.StandardCamera.prototype.MODES.examine = {
-        mouse: [
-            XML3D.StandardCamera.prototype.ROTATE,
-            XML3D.StandardCamera.prototype.TRANSLATE,
-            XML3D.StandardCamera.prototype.DOLLY
-        ],
-        touch: [
-            XML3D.StandardCamera.prototype.ROTATE,
-            XML3D.StandardCamera.prototype.DOLLY,
-            XML3D.StandardCamera.prototype.TRANSLATE
-        ]
+    // -----------------------------------------------------
+    // input bindings
+    // -----------------------------------------------------
+
+    var MODIFIERS = ["alt", "ctrl", "meta", "shift"];
+    var MOUSE_BUTTONS = ["left", "middle", "right"];
+
+    var normalizeBindingKey = function(key) {
+        // The input itself may be "+"
+        var match = /^((?:\s*[a-z]+\s*\+)*)(.+)$/.exec(key.toLowerCase());
+        var parts = match[1].split("+").slice(0, -1).map(function(part) { return part.trim(); });
+        var input = match[2].trim();
+        var modifiers = parts.map(function(modifier) {
+            modifier = modifier == "control" ? "ctrl" : modifier;
+            if (MODIFIERS.indexOf(modifier) == -1)
+                throw("Unknown modifier '" + modifier + "' in camera binding '" + key + "'");
+            return modifier;
+        });
+        return modifiers.sort().concat(input).join("+");
     };
-    
-    XML3D.StandardCamera.prototype.MODES.panning = {
-        mouse: [
-            XML3D.StandardCamera.prototype.PANNING,
-            XML3D.StandardCamera.prototype.DOLLY,
-            XML3D.StandardCamera.prototype.ORBIT
-        ],
-        touch: [
-            XML3D.StandardCamera.prototype.PANNING,
-            XML3D.StandardCamera.prototype.ORBIT,
-            XML3D.StandardCamera.prototype.DOLLY
-        ]
+
+    var getModifierKey = function(input, ev) {
+        var modifiers = MODIFIERS.filter(function(modifier) { return ev && ev[modifier + "Key"]; });
+        return modifiers.concat(input).join("+");
     };
-    
-    XML3D.StandardCamera.prototype.MODES.lookaround = {
-        mouse: [
-            XML3D.StandardCamera.prototype.LOOKAROUND,
-            XML3D.StandardCamera.prototype.TRANSLATE,
-            XML3D.StandardCamera.prototype.DOLLY
-        ],
-        touch: [
-            XML3D.StandardCamera.prototype.LOOKAROUND,
-            XML3D.StandardCamera.prototype.DOLLY,
-            XML3D.StandardCamera.prototype.TRANSLATE
-        ]
+
+    var getButtonName = function(button) {
+        return MOUSE_BUTTONS[button] || "button" + button;
     };
-    
-    XML3D.StandardCamera.prototype.mousePressEvent = function(event) {
-        var ev = event || window.event;
-        
-        this.action = this.mode.mouse[ev.button];
-        if (!this.action) return;
-        
-        var start = this.action.start;
-        if (start) start.call(this, ev.pageX, ev.pageY);
-        
-        this.prevPos.x = ev.pageX;
-        this.prevPos.y = ev.pageY;
-        
-        if (this.action !== this.NO_ACTION) {
-            //Disable object picking during camera actions
-            this.mousemovePicking = XML3D.options.getValue("renderer-mousemove-picking");
-            XML3D.options.setValue("renderer-mousemove-picking", false);
+
+    // The actions that bindings may refer to by name
+    var ACTION_NAMES = ["TRANSLATE", "DOLLY", "ROTATE", "ORBIT", "LOOKAROUND", "PANNING", "ROLL", "ZOOM"];
+
+    var resolveAction = function(action) {
+        if (typeof action === "string") {
+            var name = action.toUpperCase();
+            if (ACTION_NAMES.indexOf(name) == -1)
+                throw("Unknown camera action '" + action + "'");
+            return XML3D.StandardCamera.prototype[name];
+        }
+        if (action && !action.move && !action.touch && !action.wheel && (action.pan || action.pinch || action.twist))
+            return XML3D.StandardCamera.createGesture(action);
+        return action || XML3D.StandardCamera.prototype.NO_ACTION;
+    };
+
+    var normalizeBindings = function(bindings) {
+        var result = {};
+        // Support the original mode format of action arrays indexed by mouse button and number of touches
+        if (Array.isArray(bindings.mouse) || Array.isArray(bindings.touch)) {
+            (bindings.mouse || []).forEach(function(action, button) {
+                result[getButtonName(button)] = resolveAction(action);
+            });
+            (bindings.touch || []).forEach(function(action, i) {
+                result["touch:" + (i + 1)] = resolveAction(action);
+            });
+            return result;
+        }
+        Object.keys(bindings).forEach(function(key) {
+            result[normalizeBindingKey(key)] = resolveAction(bindings[key]);
+        });
+        return result;
+    };
+
+    var MOVEMENTS = ["forward", "backward", "left", "right", "up", "down"];
+
+    // Continuous commands drive an action as if the pointer moved by the given fraction of the canvas per second
+    var KEY_ACTIONS = {
+        orbitLeft: {action: "ROTATE", dx: 1, dy: 0},
+        orbitRight: {action: "ROTATE", dx: -1, dy: 0},
+        orbitUp: {action: "ROTATE", dx: 0, dy: 1},
+        orbitDown: {action: "ROTATE", dx: 0, dy: -1},
+        panLeft: {action: "TRANSLATE", dx: 1, dy: 0},
+        panRight: {action: "TRANSLATE", dx: -1, dy: 0},
+        panUp: {action: "TRANSLATE", dx: 0, dy: 1},
+        panDown: {action: "TRANSLATE", dx: 0, dy: -1},
+        dollyIn: {action: "DOLLY", dx: 0, dy: -1},
+        dollyOut: {action: "DOLLY", dx: 0, dy: 1},
+        rollLeft: {action: "ROLL", dx: 1, dy: 0},
+        rollRight: {action: "ROLL", dx: -1, dy: 0}
+    };
+
+    var KEY_COMMANDS = {
+        reset: function() { return this.resetView(); },
+        fitAll: function() { return this.fitAll(); }
+    };
+
+    var normalizeKeymap = function(keymap) {
+        var result = {};
+        Object.keys(keymap).forEach(function(key) {
+            var command = keymap[key];
+            if (command !== null && MOVEMENTS.indexOf(command) == -1 && !KEY_ACTIONS.hasOwnProperty(command) &&
+                !KEY_COMMANDS.hasOwnProperty(command))
+                throw("Unknown camera key command '" + command + "'");
+            result[normalizeBindingKey(key)] = command;
+        });
+        return result;
+    };
+
+    var DEFAULT_KEYMAP = normalizeKeymap({
+        "KeyW": "forward", "ArrowUp": "forward",
+        "KeyS": "backward", "ArrowDown": "backward",
+        "KeyA": "left", "ArrowLeft": "left",
+        "KeyD": "right", "ArrowRight": "right",
+        "KeyJ": "orbitLeft", "Numpad4": "orbitLeft",
+        "KeyL": "orbitRight", "Numpad6": "orbitRight",
+        "KeyI": "orbitUp", "Numpad8": "orbitUp",
+        "KeyK": "orbitDown", "Numpad2": "orbitDown",
+        "KeyR": "panUp",
+        "KeyV": "panDown",
+        "+": "dollyIn",
+        "-": "dollyOut",
+        "PageUp": "dollyIn",
+        "PageDown": "dollyOut",
+        "KeyQ": "rollLeft",
+        "KeyE": "rollRight",
+        "Home": "reset",
+        "KeyF": "fitAll"
+    });
+
+    var MOVEMENT_KEYMAP = {
+        "KeyW": "forward", "ArrowUp": "forward",
+        "KeyS": "backward", "ArrowDown": "backward",
+        "KeyA": "left", "ArrowLeft": "left",
+        "KeyD": "right", "ArrowRight": "right",
+        "KeyE": "up", "Space": "up",
+        "KeyQ": "down", "KeyC": "down",
+        "Home": "reset",
+        "KeyF": "fitAll"
+    };
+
+    var SIX_DOF_DEVICES = /3dconnexion|spacemouse|spacenavigator|spacepilot|spaceexplorer|spaceball/i;
+
+    // Parses a target of setGamepadMapping into {sign, axis} and either command, action or type
+    var parseGamepadTarget = function(target) {
+        var name = target.charAt(0) == "-" ? target.slice(1) : target;
+        var sign = name === target ? 1 : -1;
+        if (MOVEMENTS.indexOf(name) != -1 || KEY_ACTIONS.hasOwnProperty(name) || KEY_COMMANDS.hasOwnProperty(name))
+            return {sign: sign, command: name};
+        var match = /^(\w+)\.([xyz])$/.exec(name);
+        if (match) {
+            var axis = "xyz".indexOf(match[2]);
+            if (match[1] == "move" || match[1] == "translate" || match[1] == "rotate")
+                return {sign: sign, axis: axis, type: match[1]};
+            var action = ACTION_NAMES.indexOf(match[1]) != -1 && XML3D.StandardCamera.prototype[match[1]];
+            if (action && action.move && axis < 2)
+                return {sign: sign, axis: axis, action: action};
+        }
+        throw("Unknown gamepad target '" + target + "'");
+    };
+
+    var normalizeGamepadMapping = function(mapping) {
+        var result = {};
+        Object.keys(mapping).forEach(function(input) {
+            var match = /^\s*(axis|button)\s*:\s*(\d+)\s*$/i.exec(input);
+            if (!match)
+                throw("Unknown gamepad input '" + input + "'");
+            var target = mapping[input];
+            result[match[1].toLowerCase() + ":" + match[2]] = target === null ? null : parseGamepadTarget(target);
+        });
+        return result;
+    };
+
+    // The standard gamepad layout: sticks, shoulder buttons, triggers, select, start and the d-pad
+    var DEFAULT_GAMEPAD = normalizeGamepadMapping({
+        "axis:0": "-ROTATE.x",
+        "axis:1": "-ROTATE.y",
+        "axis:2": "-TRANSLATE.x",
+        "axis:3": "-TRANSLATE.y",
+        "button:4": "rollLeft",
+        "button:5": "rollRight",
+        "button:6": "dollyOut",
+        "button:7": "dollyIn",
+        "button:8": "reset",
+        "button:9": "fitAll",
+        "button:12": "panUp",
+        "button:13": "panDown",
+        "button:14": "panLeft",
+        "button:15": "panRight"
+    });
+
+    var MOVEMENT_GAMEPAD = {
+        "axis:0": "move.x",
+        "axis:1": "-move.y",
+        "axis:2": "LOOKAROUND.x",
+        "axis:3": "LOOKAROUND.y",
+        "button:6": "down",
+        "button:7": "up",
+        "button:8": "reset",
+        "button:9": "fitAll"
+    };
+
+    var DEFAULT_SIX_DOF = normalizeGamepadMapping({
+        "axis:0": "translate.x",
+        "axis:1": "translate.z",
+        "axis:2": "-translate.y",
+        "axis:3": "-rotate.x",
+        "axis:4": "-rotate.z",
+        "axis:5": "-rotate.y",
+        "button:0": "reset",
+        "button:1": "fitAll"
+    });
+
+    var normalizeMode = function(mode) {
+        return mode.bindings ? mode : {bindings: normalizeBindings(mode), options: {}};
+    };
+
+    // Several cameras may control different views of the same <xml3d> element, only the one of the active view reacts
+    XML3D.StandardCamera.prototype.isActiveView = function() {
+        var reference = this.xml3d.getAttribute("view");
+        var active = reference ? this.xml3d.querySelector(reference) : this.xml3d.querySelector("view");
+        return !active || active === this.element;
+    };
+
+    // Focus taken by the pointer shows no focus ring, like :focus-visible
+    XML3D.StandardCamera.prototype.focus = function() {
+        if (document.activeElement !== this.xml3d && this.xml3d.focus) {
+            this.pointerFocus = true;
+            this.xml3d.focus({preventScroll: true});
+            this.pointerFocus = false;
+        }
+    };
+
+    XML3D.StandardCamera.prototype.getModeOption = function(name) {
+        var options = this.mode.options;
+        return options && options.hasOwnProperty(name) ? options[name] : this.options[name];
+    };
+
+    XML3D.StandardCamera.prototype.getBinding = function(input, ev) {
+        var keys = [getModifierKey(input, ev), input];
+        var tables = [this.bindings, this.mode.bindings];
+        for (var i = 0; i < keys.length; i++) {
+            for (var j = 0; j < tables.length; j++) {
+                if (tables[j].hasOwnProperty(keys[i]))
+                    return tables[j][keys[i]];
+            }
+        }
+        return this.NO_ACTION;
+    };
+
+    XML3D.StandardCamera.prototype.MODES = {};
+
+    XML3D.StandardCamera.registerMode("examine", {
+        "left": "ROTATE",
+        "middle": "TRANSLATE",
+        "right": "DOLLY",
+        "shift+left": "TRANSLATE",
+        "alt+left": "DOLLY",
+        "touch:1": "ROTATE",
+        "touch:2": {pan: "TRANSLATE", pinch: "DOLLY", twist: "ROLL"},
+        "touch:3": "TRANSLATE",
+        "wheel": "ZOOM"
+    });
+
+    XML3D.StandardCamera.registerMode("panning", {
+        "left": "PANNING",
+        "middle": "DOLLY",
+        "right": "ORBIT",
+        "shift+left": "ORBIT",
+        "alt+left": "DOLLY",
+        "touch:1": "PANNING",
+        "touch:2": {pan: "PANNING", pinch: "DOLLY", twist: "ORBIT"},
+        "touch:3": "ORBIT",
+        "wheel": "ZOOM"
+    });
+
+    XML3D.StandardCamera.registerMode("lookaround", {
+        "left": "LOOKAROUND",
+        "middle": "TRANSLATE",
+        "right": "DOLLY",
+        "shift+left": "TRANSLATE",
+        "alt+left": "DOLLY",
+        "touch:1": "LOOKAROUND",
+        "touch:2": {pan: "TRANSLATE", pinch: "DOLLY"},
+        "touch:3": "TRANSLATE",
+        "wheel": "ZOOM"
+    }, {
+        keymap: MOVEMENT_KEYMAP,
+        mouselook: true
+    });
+
+    XML3D.StandardCamera.registerMode("fly", XML3D.StandardCamera.prototype.MODES.lookaround.bindings, {
+        useKeys: true,
+        keymap: MOVEMENT_KEYMAP,
+        gamepad: MOVEMENT_GAMEPAD,
+        movement: "fly",
+        mouselook: true
+    });
+
+    XML3D.StandardCamera.registerMode("walk", XML3D.StandardCamera.prototype.MODES.lookaround.bindings, {
+        useKeys: true,
+        keymap: MOVEMENT_KEYMAP,
+        gamepad: MOVEMENT_GAMEPAD,
+        movement: "walk",
+        mouselook: true
+    });
+    
+    XML3D.StandardCamera.prototype.mousePressEvent = function(event) {
+        var ev = event || window.event;
+        if (!this.isActiveView()) return;
+        this.focus();
+        if (this.handlePointerLockClick(ev)) return false;
+        this.interrupt();
+        
+        if (!this.startMouseAction(ev)) return;
+        
+        this.stopEvent(event);
+        return false;
+    };
+    
+    XML3D.StandardCamera.prototype.mouseReleaseEvent = function (event) {
+        var ev = event || window.event;
+        if (!this.action) return;
+
+        this.endMouseAction(ev.pageX, ev.pageY);
+        
+        this.stopEvent(event);
+        return false;
+    };
+    
+    XML3D.StandardCamera.prototype.mouseMoveEvent = function (event, camera) {
+        var ev = event || window.event;
+        if (!this.action) return;
+        
+        this.moveMouseAction(ev.pageX, ev.pageY);
+        
+        this.stopEvent(event);
+        return false;
+    };
+
+    XML3D.StandardCamera.prototype.startMouseAction = function(ev) {
+        var action = this.getBinding(getButtonName(ev.button), ev);
+        if (!action) return false;
+
+        var x = ev.pageX;
+        var y = ev.pageY;
+
+        this.startAction(action, x, y);
+
+        this.prevPos.x = x;
+        this.prevPos.y = y;
+
+        //Disable object picking during camera actions
+        if (!this.pickingSuppressed) {
+            suppressPicking();
+            this.pickingSuppressed = true;
+        }
+        //Without pointer capture the drag has to be followed outside of the canvas
+        if (!this.usePointerEvents) {
+            document.addEventListener("mouseup", this._evt_mouseup, false);
+            document.addEventListener("mousemove", this._evt_mousemove, false);
+        }
+        return true;
+    };
+
+    XML3D.StandardCamera.prototype.moveMouseAction = function(x, y) {
+        var dx = x - this.prevPos.x;
+        var dy = y - this.prevPos.y;
+
+        this.moveAction(x, y, dx, dy);
+
+        this.prevPos.x = x;
+        this.prevPos.y = y;
+    };
+
+    XML3D.StandardCamera.prototype.endMouseAction = function(x, y, skipInertia) {
+        if (this.pickingSuppressed) {
+            restorePicking();
+            this.pickingSuppressed = false;
+        }
+        if (!this.usePointerEvents) {
+            document.removeEventListener("mouseup", this._evt_mouseup, false);
+            document.removeEventListener("mousemove", this._evt_mousemove, false);
+        }
+        this.endAction(x, y, skipInertia);
+    };
+
+    // Picking on mouse move is a global option of XML3D, it stays off as long as any camera is dragged
+    var pickingSuppression = {count: 0, value: true};
+
+    var suppressPicking = function() {
+        if (pickingSuppression.count++ == 0) {
+            pickingSuppression.value = XML3D.options.getValue("renderer-mousemove-picking");
+            XML3D.options.setValue("renderer-mousemove-picking", false);
+        }
+    };
+
+    var restorePicking = function() {
+        if (pickingSuppression.count > 0 && --pickingSuppression.count == 0)
+            XML3D.options.setValue("renderer-mousemove-picking", pickingSuppression.value);
+    };
+    
+    // The ground plane goes through the origin of the world, perpendicular to the up vector
+    XML3D.StandardCamera.prototype.intersect_ground_plane = function (ray) {
+        var up = this.options.upVector.normalize();
+        var height = ray.origin.subtract(this.transformInterface.worldToParent(new XML3D.Vec3())).dot(up);
+        var slope = ray.direction.dot(up);
+        if (slope == 0 && height == 0)
+            return ray.origin;
+        
+        if (slope >= 0 || height <= 0) 
+            return;
+        
+        var t = -(height / slope);
+        return ray.origin.add(ray.direction.scale(t));
+    }
+    
+    // Former name from when the ground plane was always the XZ plane
+    XML3D.StandardCamera.prototype.intersect_xz_plane = function (ray) {
+        return this.intersect_ground_plane(ray);
+    };
+
+    XML3D.StandardCamera.prototype.intersect_ray_plane = function (ray, plane_normal, plane_origin) {
+        var divisor = ray.direction.dot(plane_normal);
+        var factor = (plane_origin.subtract(ray.origin)).dot(plane_normal);
+        if (divisor == 0) {
+            if (factor == 0)
+                return ray.origin;
+            return;
+        }
+        
+        var d = factor / divisor;
+        if (d < 0) return;
+        
+        return ray.origin.add(ray.direction.scale(d));
+    }
+    
+    
+    // -----------------------------------------------------
+    // pointer events, used instead of the mouse and touch
+    // events wherever the browser supports them
+    // -----------------------------------------------------
+
+    XML3D.StandardCamera.prototype.pointerDownEvent = function(event) {
+        if (!this.isActiveView())
+            return;
+        this.focus();
+        // Mouse or pen interactions and touch gestures do not mix
+        if (this.pointers.length && getPointerKind(this.pointers[0]) != getPointerKind(event))
+            return;
+        if (event.pointerType != "touch" && this.handlePointerLockClick(event))
+            return;
+        this.interrupt();
+
+        if (event.pointerType == "touch") {
+            this.pointers.push({id: event.pointerId, pointerType: event.pointerType, x: event.pageX, y: event.pageY});
+            this.startTouches(this.getPointerPositions(), event);
+        } else {
+            if (this.pointers.length || !this.startMouseAction(event))
+                return;
+            this.pointers.push({id: event.pointerId, pointerType: event.pointerType, x: event.pageX, y: event.pageY});
+        }
+
+        if (this.xml3d.setPointerCapture)
+            this.xml3d.setPointerCapture(event.pointerId);
+        this.stopEvent(event);
+    };
+
+    XML3D.StandardCamera.prototype.pointerMoveEvent = function(event) {
+        var pointer = this.getPointer(event.pointerId);
+        if (!pointer)
+            return;
+        pointer.x = event.pageX;
+        pointer.y = event.pageY;
+
+        if (this.action) {
+            if (event.pointerType == "touch")
+                this.moveTouches(this.getPointerPositions());
+            else
+                this.moveMouseAction(event.pageX, event.pageY);
+        }
+        this.stopEvent(event);
+    };
+
+    XML3D.StandardCamera.prototype.pointerUpEvent = function(event) {
+        var pointer = this.getPointer(event.pointerId);
+        if (!pointer)
+            return;
+        this.pointers.splice(this.pointers.indexOf(pointer), 1);
+
+        if (event.pointerType == "touch")
+            this.endTouches(this.getPointerPositions(), event);
+        else
+            this.endMouseAction(event.pageX, event.pageY);
+
+        if (this.xml3d.releasePointerCapture && this.xml3d.hasPointerCapture && this.xml3d.hasPointerCapture(event.pointerId))
+            this.xml3d.releasePointerCapture(event.pointerId);
+        this.stopEvent(event);
+    };
+
+    // The browser took the pointer away, e.g. for a system gesture, or its capture was lost before it was released.
+    // Ends the interaction without inertia, after a regular pointerup the pointer is already gone.
+    XML3D.StandardCamera.prototype.pointerCancelEvent = function(event) {
+        var pointer = this.getPointer(event.pointerId);
+        if (!pointer)
+            return;
+        this.pointers.splice(this.pointers.indexOf(pointer), 1);
+        if (event.pointerType == "touch") {
+            this.tap.current = null;
+            this.tap.touching = this.pointers.length > 0;
+        }
+        this.endInteraction();
+    };
+
+    XML3D.StandardCamera.prototype.getPointer = function(pointerId) {
+        for (var i = 0; i < this.pointers.length; i++) {
+            if (this.pointers[i].id === pointerId)
+                return this.pointers[i];
+        }
+        return null;
+    };
+
+    XML3D.StandardCamera.prototype.getPointerPositions = function() {
+        return this.pointers.map(function(pointer) {
+            return {x: pointer.x, y: pointer.y};
+        });
+    };
+
+    var getPointerKind = function(pointer) {
+        return pointer.pointerType == "touch" ? "touch" : "mouse";
+    };
+
+    // -----------------------------------------------------
+    // pointer lock mouselook
+    // -----------------------------------------------------
+
+    XML3D.StandardCamera.prototype.pointerLockEnabled = function() {
+        var xml3d = this.xml3d;
+        return !!(this.options.pointerLock && this.getModeOption("mouselook") &&
+            (xml3d.requestPointerLock || xml3d.mozRequestPointerLock));
+    };
+
+    XML3D.StandardCamera.prototype.requestPointerLock = function() {
+        if (this.xml3d.requestPointerLock)
+            this.xml3d.requestPointerLock();
+        else
+            this.xml3d.mozRequestPointerLock();
+    };
+
+    XML3D.StandardCamera.prototype.exitPointerLock = function() {
+        if (!this.pointerLocked)
+            return;
+        if (document.exitPointerLock)
+            document.exitPointerLock();
+        else if (document.mozExitPointerLock)
+            document.mozExitPointerLock();
+    };
+
+    /**
+     * Clicks lock the pointer if mouselook is enabled and are ignored while it is locked
+     */
+    XML3D.StandardCamera.prototype.handlePointerLockClick = function(ev) {
+        if (this.pointerLocked) {
+            this.stopEvent(ev);
+            return true;
+        }
+        if (ev.button === 0 && this.pointerLockEnabled()) {
+            this.interrupt();
+            this.requestPointerLock();
+            this.stopEvent(ev);
+            return true;
+        }
+        return false;
+    };
+
+    XML3D.StandardCamera.prototype.pointerLockChangeEvent = function(event) {
+        var lockElement = document.pointerLockElement || document.mozPointerLockElement;
+        var locked = lockElement === this.xml3d && this.isActiveView();
+        if (locked && !this.pointerLocked)
+            this.endInteraction();
+        this.pointerLocked = locked;
+    };
+
+    XML3D.StandardCamera.prototype.pointerLockMoveEvent = function(event) {
+        if (!this.pointerLocked)
+            return;
+        var dx = event.movementX || event.mozMovementX || 0;
+        var dy = event.movementY || event.mozMovementY || 0;
+        this.LOOKAROUND.move.call(this, this.width / 2, this.height / 2, dx, dy);
+        this.applyConstraints();
+        this.stopEvent(event);
+    };
+
+    // -----------------------------------------------------
+    // mouse wheel and trackpad zoom
+    // -----------------------------------------------------
+
+    // Pixels per line and the factor applied to the deltas of trackpad pinch gestures
+    var WHEEL_LINE_HEIGHT = 16;
+    var WHEEL_PINCH_FACTOR = 10;
+
+    XML3D.StandardCamera.prototype.wheelEvent = function(event) {
+        var ev = event || window.event;
+        if (!this.options.useWheel || !this.isActiveView())
+            return;
+        //The page would scroll away under a drag
+        if (this.action) {
+            this.stopEvent(event);
+            return false;
+        }
+        var action = this.getBinding("wheel", ev);
+        if (!action)
+            return;
+        this.interrupt();
+
+        var delta = ev.deltaY;
+        if (ev.deltaMode === 1)
+            delta *= WHEEL_LINE_HEIGHT;
+        else if (ev.deltaMode === 2)
+            delta *= this.height;
+        // Browsers report trackpad pinch gestures as wheel events with the ctrl key pressed
+        if (ev.ctrlKey)
+            delta *= WHEEL_PINCH_FACTOR;
+
+        if (delta) {
+            if (action.wheel) {
+                action.wheel.call(this, ev.pageX, ev.pageY, delta);
+            } else {
+                // Drag actions see the wheel as a vertical drag
+                if (action.start) action.start.call(this, ev.pageX, ev.pageY);
+                if (action.move) action.move.call(this, ev.pageX, ev.pageY, 0, delta);
+                if (action.end) action.end.call(this, ev.pageX, ev.pageY);
+            }
+            this.applyConstraints();
+        }
+
+        this.stopEvent(event);
+        return false;
+    };
+
+    XML3D.StandardCamera.prototype.resizeEvent = function() {
+        //The aspect ratio of an orthographic projection has to follow the size of the canvas
+        var tf = this.transformInterface;
+        if (tf.orthographic)
+            tf.setOrthoMatrix(tf.orthoHeight);
+    };
+
+    // -----------------------------------------------------
+    // touch rotation and movement
+    // -----------------------------------------------------
+    
+    XML3D.StandardCamera.prototype.touchStartEvent = function(event) {
+        if (!this.isActiveView())
+            return;
+        if (event.target.nodeName.toLowerCase() == "xml3d")
+            this.stopEvent(event);
+        
+        var ev = event || window.event;
+        this.focus();
+        this.interrupt();
+        
+        this.startTouches(getTouchPositions(ev.targetTouches), ev);
+        
+        return false;
+    };
+    
+    XML3D.StandardCamera.prototype.touchEndEvent = function(event) {
+        if (event.target.nodeName.toLowerCase() == "xml3d")
+            this.stopEvent(event);
+        
+        var ev = event || window.event;
+        
+        this.endTouches(getTouchPositions(ev.targetTouches), ev);
+        
+        return false;
+    };
+    
+    XML3D.StandardCamera.prototype.touchMoveEvent = function(event, camera) {
+        if (event.target.nodeName.toLowerCase() == "xml3d")
+            this.stopEvent(event);
+        
+        var ev = event || window.event;
+        if (!this.action)
+            return;
+        
+        this.moveTouches(getTouchPositions(ev.targetTouches));
+        event.returnValue = false;
+
+        return false;
+    };
+
+    XML3D.StandardCamera.prototype.startTouches = function(touchPositions, ev) {
+        this.trackTap(touchPositions, "start");
+        var action = this.getBinding("touch:" + touchPositions.length, ev);
+        if (action) {
+            var start = action.touch ? getTouchCenter(touchPositions) : touchPositions[0];
+            this.startAction(action, start.x, start.y);
+        } else if (this.action) {
+            var end = getTouchCenter(this.prevTouchPositions);
+            this.endAction(end.x, end.y, true);
+        }
+        this.prevTouchPositions = touchPositions;
+    };
+
+    XML3D.StandardCamera.prototype.moveTouches = function(touchPositions) {
+        this.trackTap(touchPositions, "move");
+        var prev = this.prevTouchPositions;
+        if (this.action.touch && touchPositions.length > 1 && prev.length > 1) {
+            var motion = this.action.touch.call(this, touchPositions, prev);
+            this.applyConstraints();
+            if (motion)
+                this.recordMotion(motion.dx, motion.dy, motion);
+        } else {
+            var dx = touchPositions[0].x - prev[0].x;
+            var dy = touchPositions[0].y - prev[0].y;
+            this.moveAction(touchPositions[0].x, touchPositions[0].y, dx, dy);
+        }
+        this.prevTouchPositions = touchPositions;
+    };
+
+    XML3D.StandardCamera.prototype.endTouches = function(touchPositions, ev) {
+        this.trackTap(touchPositions, "end");
+        // Fingers rarely leave at once, lifting the first finger of a moving gesture flicks it and the remaining
+        // finger does nothing until it is released
+        var flick = this.action && this.action.gesture && this.prevTouchPositions.length > 1 && !!this.releaseVelocity();
+        if (this.action) {
+            var end = this.action.touch ? getTouchCenter(this.prevTouchPositions) : this.prevTouchPositions[0];
+            this.endAction(end.x, end.y, touchPositions.length > 0 && !flick);
+        }
+        // Continue with the action for the remaining fingers
+        if (touchPositions.length && !flick)
+            this.startTouches(touchPositions, ev);
+    };
+
+    var getTouchPositions = function(touches) {
+        var touchPositions = [];
+        for (var i = 0; i < touches.length; i++)
+            touchPositions[i] = {x: touches[i].pageX, y: touches[i].pageY};
+        return touchPositions;
+    };
+
+    var getTouchCenter = function(touchPositions) {
+        if (touchPositions.length < 2)
+            return touchPositions[0];
+        return {
+            x: (touchPositions[0].x + touchPositions[1].x) / 2,
+            y: (touchPositions[0].y + touchPositions[1].y) / 2
+        };
+    };
+
+
+    // -----------------------------------------------------
+    // pivot selection
+    // -----------------------------------------------------
+
+    // A tap is a short touch of a single finger that hardly moves
+    var TAP_TIME = 300;
+    var TAP_DISTANCE = 15;
+    var DOUBLE_TAP_TIME = 400;
+    var PIVOT_FLASH_TIME = 800;
+    var PIVOT_INDICATOR_SIZE = 12;
+
+    XML3D.StandardCamera.prototype.doubleClickEvent = function(ev) {
+        if (!this.getModeOption("pivotOnDoubleClick") || !this.isActiveView())
+            return;
+        this.stopEvent(ev);
+        //Browsers follow a double tap with a dblclick, the tap already set the examine point
+        if (now() - this.tap.pivotTime < DOUBLE_TAP_TIME)
+            return;
+        this.pickPivot(ev.pageX, ev.pageY);
+    };
+
+    XML3D.StandardCamera.prototype.pickPivot = function(x, y) {
+        var point = this.intersectScene(this.generateRay(x, y));
+        if (point)
+            this.setPivot(point, {center: this.getModeOption("centerPivot")});
+    };
+
+    XML3D.StandardCamera.prototype.trackTap = function(touchPositions, phase) {
+        var tap = this.tap;
+        if (phase == "start") {
+            var first = !tap.touching && touchPositions.length == 1;
+            tap.current = first ? {x: touchPositions[0].x, y: touchPositions[0].y, time: now()} : null;
+            tap.touching = true;
+        } else if (phase == "move") {
+            if (tap.current && getDistance(touchPositions[0], tap.current) > TAP_DISTANCE)
+                tap.current = null;
+        } else if (!touchPositions.length) {
+            var current = tap.current;
+            tap.touching = false;
+            tap.current = null;
+            if (!current || now() - current.time > TAP_TIME)
+                return;
+            var last = tap.last;
+            if (last && current.time - last.time < DOUBLE_TAP_TIME && getDistance(current, last) < TAP_DISTANCE * 2) {
+                tap.last = null;
+                if (this.getModeOption("pivotOnDoubleClick")) {
+                    tap.pivotTime = now();
+                    this.pickPivot(current.x, current.y);
+                }
+            } else {
+                tap.last = current;
+            }
+        }
+    };
+
+    XML3D.StandardCamera.prototype.updatePivotIndicator = function() {
+        var indicator = this.pivotIndicator;
+        if (!indicator)
+            return;
+        var action = this.action || (this.inertia && this.inertia.action);
+        var visible = this.state.examinePoint && (isRotation(action) || now() < this.pivotFlashEnd);
+        var position = visible && this.projectToScreen(this.state.examinePoint);
+        if (!position) {
+            indicator.style.display = "none";
+            return;
+        }
+        indicator.style.display = "block";
+        indicator.style.left = (this.xml3d.offsetLeft + position.x - PIVOT_INDICATOR_SIZE / 2) + "px";
+        indicator.style.top = (this.xml3d.offsetTop + position.y - PIVOT_INDICATOR_SIZE / 2) + "px";
+    };
+
+    var isRotation = function(action) {
+        if (!action)
+            return false;
+        var proto = XML3D.StandardCamera.prototype;
+        return action === proto.ROTATE || action === proto.ORBIT ||
+            isRotation(action.pan) || isRotation(action.pinch) || isRotation(action.twist);
+    };
+
+    var getDistance = function(a, b) {
+        return Math.sqrt((a.x - b.x) * (a.x - b.x) + (a.y - b.y) * (a.y - b.y));
+    };
+
+    var createPivotIndicator = function(xml3d) {
+        var indicator = document.createElement("div");
+        indicator.className = "xml3d-camera-pivot";
+        var style = indicator.style;
+        style.position = "absolute";
+        style.display = "none";
+        style.width = style.height = PIVOT_INDICATOR_SIZE + "px";
+        style.boxSizing = "border-box";
+        style.borderRadius = "50%";
+        style.border = "2px solid #fff";
+        style.background = "rgba(255, 140, 0, 0.8)";
+        style.pointerEvents = "none";
+        style.zIndex = 1;
+        xml3d.parentNode.insertBefore(indicator, xml3d.nextSibling);
+        return indicator;
+    };
+
+
+    // -----------------------------------------------------
+    // key movement
+    // -----------------------------------------------------
+
+    XML3D.StandardCamera.prototype.getKeyCommand = function(ev) {
+        var tables = [this.keymap, this.mode.options.keymap || DEFAULT_KEYMAP];
+        var names = [ev.code, ev.key].filter(function(name) { return name && name !== " "; }).map(function(name) {
+            return name.toLowerCase();
+        });
+        var keys = names.map(function(name) { return getModifierKey(name, ev); });
+        if (!ev.ctrlKey && !ev.altKey && !ev.metaKey)
+            keys = keys.concat(names);
+        for (var i = 0; i < keys.length; i++) {
+            for (var j = 0; j < tables.length; j++) {
+                if (tables[j].hasOwnProperty(keys[i]))
+                    return tables[j][keys[i]];
+            }
+        }
+        return null;
+    };
+
+    var isEditable = function(element) {
+        return !!element && (element.isContentEditable || /^(input|textarea|select)$/i.test(element.localName));
+    };
+
+    var isPointerLockKey = function(key, ev) {
+        if (!key)
+            return false;
+        if (typeof key === "number")
+            return ev.keyCode == key;
+        key = key.toLowerCase();
+        return (ev.code && ev.code.toLowerCase() == key) || (ev.key && ev.key.toLowerCase() == key);
+    };
+
+    XML3D.StandardCamera.prototype.keyHandling = function(e) {
+        if (!this.isActiveView() || e.defaultPrevented || isEditable(e.target))
+            return;
+        if (this.pointerLocked && (e.key == "Escape" || e.keyCode == 27)) {
+            this.exitPointerLock();
+            return;
+        }
+        if (isPointerLockKey(this.options.pointerLockKey, e) && this.pointerLockEnabled()) {
+            this.stopEvent(e);
+            if (this.pointerLocked)
+                this.exitPointerLock();
+            else
+                this.requestPointerLock();
+            return;
+        }
+
+        if (!this.keysEnabled())
+            return;
+        var command = this.getKeyCommand(e);
+        if (!command)
+            return;
+        this.stopEvent(e);
+        this.sprinting = e.shiftKey;
+        this.announcePending = true;
+
+        if (KEY_COMMANDS.hasOwnProperty(command)) {
+            if (e.repeat)
+                return;
+            this.interrupt();
+            this.keysDown = {};
+            KEY_COMMANDS[command].call(this);
+            //Nothing moved, so there will be no cameraend event to wait for
+            if (!this.moving) {
+                this.announcePending = false;
+                this.announce(this.describeView());
+            }
+            return;
+        }
+        if (!this.keyMovement.running)
+            this.interrupt();
+        this.keysDown[e.code || e.key] = command;
+        this.keyMovement.start();
+    };
+
+    XML3D.StandardCamera.prototype.keyReleaseEvent = function(e) {
+        this.sprinting = e.shiftKey;
+        delete this.keysDown[e.code || e.key];
+    };
+
+    // Steps per second of held movement keys
+    var KEY_REPEAT_RATE = 10;
+
+    XML3D.StandardCamera.prototype.keysEnabled = function() {
+        return !!this.getModeOption("useKeys");
+    };
+
+    XML3D.StandardCamera.prototype.moveByKeys = function(dt) {
+        var keys = {};
+        for (var key in this.keysDown)
+            keys[this.keysDown[key]] = true;
+        if (!this.keysEnabled() || !Object.keys(keys).length) {
+            this.state.eyeHeight = null;
+            return false;
+        }
+        var speed = this.sprinting ? this.options.sprintFactor : 1;
+
+        for (var command in keys) {
+            var keyAction = KEY_ACTIONS[command];
+            if (keyAction)
+                this.moveActionBy(this[keyAction.action], keyAction.dx, keyAction.dy, this.options.keySpeed * speed * dt);
+        }
+
+        var move = XML3D.Vec3.fromValues(
+            (keys.right ? 1 : 0) - (keys.left ? 1 : 0),
+            (keys.forward ? 1 : 0) - (keys.backward ? 1 : 0),
+            (keys.up ? 1 : 0) - (keys.down ? 1 : 0)
+        );
+        var length = move.length();
+        if (length)
+            this.moveBy(move.scale(this.options.flySpeed * speed * dt / length));
+        this.applyConstraints();
+        return true;
+    };
+
+    // Drives an action as if the pointer moved from the center of the canvas by the given fraction of its size
+    XML3D.StandardCamera.prototype.moveActionBy = function(action, dx, dy, step) {
+        var rect = this.xml3d.getBoundingClientRect();
+        var x = rect.left + window.pageXOffset + this.width / 2;
+        var y = rect.top + window.pageYOffset + this.height / 2;
+        action.move.call(this, x, y, dx * step * this.width, dy * step * this.height);
+    };
+
+    // Moves by the given distances to the right, forward and up, which depend on the movement option
+    XML3D.StandardCamera.prototype.moveBy = function(distances) {
+        var tf = this.transformInterface;
+        var walking = this.getModeOption("movement") == "walk";
+        var up = this.options.upVector.normalize();
+        var forward = tf.direction;
+        var right = tf.rightVector;
+        if (walking) {
+            right = right.subtract(up.scale(right.dot(up))).normalize();
+            forward = up.cross(right);
+        }
+
+        var move = right.scale(distances.x).add(forward.scale(distances.y));
+        if (!walking)
+            move = move.add(up.scale(distances.z));
+        if (!move.length())
+            return;
+        if (walking)
+            this.walk(move);
+        else
+            tf.translate(move);
+    };
+
+    // -----------------------------------------------------
+    // gamepads and 6DOF devices
+    // -----------------------------------------------------
+
+    var getGamepads = function() {
+        if (!navigator.getGamepads)
+            return [];
+        return Array.prototype.filter.call(navigator.getGamepads() || [], function(gamepad) {
+            return gamepad && gamepad.connected !== false;
+        });
+    };
+
+    var shapeInput = function(value, deadZone, curve) {
+        var magnitude = Math.abs(value);
+        if (!(magnitude > deadZone))
+            return 0;
+        magnitude = Math.min((magnitude - deadZone) / (1 - deadZone), 1);
+        magnitude = typeof curve === "function" ? curve(magnitude) : Math.pow(magnitude, curve);
+        return value < 0 ? -magnitude : magnitude;
+    };
+
+    XML3D.StandardCamera.prototype.gamepadEnabled = function() {
+        return !!this.getModeOption("useGamepad");
+    };
+
+    XML3D.StandardCamera.prototype.getGamepadTarget = function(input, sixDof) {
+        var tables = sixDof ? [this.sixDofMapping, this.mode.options.sixDof || DEFAULT_SIX_DOF] :
+            [this.gamepadMapping, this.mode.options.gamepad || DEFAULT_GAMEPAD];
+        for (var i = 0; i < tables.length; i++) {
+            if (tables[i].hasOwnProperty(input))
+                return tables[i][input];
+        }
+        return null;
+    };
+
+    // Reads the axes and buttons of one gamepad into the inputs that move the camera and the commands of buttons
+    // that were just pressed. getTarget maps an input like "axis:0" to its target, buttons holds the pressed state of
+    // command buttons between polls.
+    var readGamepad = function(gamepad, getTarget, options, buttons) {
+        var result = {inputs: [], commands: []};
+        var add = function(input, value, pressed) {
+            var target = getTarget(input);
+            if (!target)
+                return;
+            if (KEY_COMMANDS.hasOwnProperty(target.command)) {
+                var id = gamepad.index + ":" + input;
+                if (pressed && !buttons[id])
+                    result.commands.push(target.command);
+                buttons[id] = pressed;
+                return;
+            }
+            value = shapeInput(value, options.deadZone, options.curve) * target.sign;
+            if (value)
+                result.inputs.push({target: target, value: value});
+        };
+        (gamepad.axes || []).forEach(function(value, i) {
+            add("axis:" + i, value, Math.abs(value) > 0.5);
+        });
+        (gamepad.buttons || []).forEach(function(button, i) {
+            var value = typeof button === "object" ? button.value : button;
+            add("button:" + i, value, typeof button === "object" ? button.pressed : value > 0.5);
+        });
+        return result;
+    };
+
+    // The <xml3d> element that gamepads control: the one with the focus, else the one used last
+    var gamepadFocus = {xml3d: null};
+
+    XML3D.StandardCamera.prototype.hasGamepadFocus = function() {
+        var focused = document.activeElement;
+        if (focused && focused.localName === "xml3d")
+            return focused === this.xml3d;
+        if (!gamepadFocus.xml3d || !document.contains(gamepadFocus.xml3d))
+            gamepadFocus.xml3d = this.xml3d;
+        return gamepadFocus.xml3d === this.xml3d;
+    };
+
+    // Seconds without gamepad input after which the polling pauses
+    var GAMEPAD_IDLE_TIME = 5;
+
+    // Gamepads are polled only while they may move this camera, focus and interaction restart the polling
+    XML3D.StandardCamera.prototype.startGamepads = function() {
+        if (getGamepads().length && this.gamepadEnabled() && this.isActiveView() && this.hasGamepadFocus()) {
+            this.gamepadIdle = 0;
+            this.gamepadLoop.start();
+        }
+    };
+
+    XML3D.StandardCamera.prototype.pollGamepads = function(dt) {
+        var gamepads = getGamepads();
+        var wasActive = this.gamepadActive;
+        this.gamepadActive = false;
+        if (!gamepads.length || !this.gamepadEnabled() || !this.isActiveView() || !this.hasGamepadFocus()) {
+            this.gamepadButtons = {};
+            return false;
         }
-        
-        this.stopEvent(event);
-        return false;
+
+        var inputs = [], commands = [];
+        var options = {deadZone: this.options.gamepadDeadZone, curve: this.options.gamepadCurve};
+        gamepads.forEach(function(gamepad) {
+            var sixDof = this.options.sixDofDevices.test(gamepad.id);
+            var self = this;
+            var result = readGamepad(gamepad, function(input) { return self.getGamepadTarget(input, sixDof); },
+                options, this.gamepadButtons);
+            inputs = inputs.concat(result.inputs);
+            commands = commands.concat(result.commands);
+        }, this);
+
+        if (inputs.length) {
+            if (!wasActive)
+                this.interrupt();
+            this.gamepadActive = true;
+            this.applyGamepadInputs(inputs, dt);
+        }
+        commands.forEach(function(command) {
+            this.interrupt();
+            KEY_COMMANDS[command].call(this);
+        }, this);
+
+        var buttons = this.gamepadButtons;
+        var held = Object.keys(buttons).some(function(id) { return buttons[id]; });
+        this.gamepadIdle = inputs.length || commands.length || held ? 0 : this.gamepadIdle + dt;
+        return this.gamepadIdle < GAMEPAD_IDLE_TIME;
     };
-    
-    XML3D.StandardCamera.prototype.mouseReleaseEvent = function (event) {
-        var ev = event || window.event;
-        if (!this.action) return;
 
-        XML3D.options.setValue("renderer-mousemove-picking", this.mousemovePicking);
-        
-        var end = this.action.end;
-        if (end) end.call(this, ev.pageX, ev.pageY);
-        
-        this.action = this.NO_ACTION;
-        
-        this.stopEvent(event);
-        return false;
+    // The axis of moveBy and the direction along it for each movement command
+    var MOVEMENT_AXES = {
+        forward: [1, 1], backward: [1, -1],
+        left: [0, -1], right: [0, 1],
+        up: [2, 1], down: [2, -1]
     };
-    
-    XML3D.StandardCamera.prototype.mouseMoveEvent = function (event, camera) {
-        var ev = event || window.event;
-        if (!this.action) return;
-        
-        var dx = ev.pageX - this.prevPos.x;
-        var dy = ev.pageY - this.prevPos.y;
-        
-        var move = this.action.move;
-        if (move) move.call(this, ev.pageX, ev.pageY, dx, dy);
-        
-        this.prevPos.x = ev.pageX;
-        this.prevPos.y = ev.pageY;
-        
-        this.stopEvent(event);
-        return false;
+
+    XML3D.StandardCamera.prototype.applyGamepadInputs = function(inputs, dt) {
+        var tf = this.transformInterface;
+        var step = this.options.gamepadSpeed * dt;
+        var move = [0, 0, 0], translation = [0, 0, 0], rotation = [0, 0, 0];
+        var vectors = {move: move, translate: translation, rotate: rotation};
+        inputs.forEach(function(input) {
+            var target = input.target, value = input.value;
+            var keyAction = KEY_ACTIONS[target.command];
+            if (keyAction) {
+                this.moveActionBy(this[keyAction.action], keyAction.dx * value, keyAction.dy * value, step);
+            } else if (target.command) {
+                var movement = MOVEMENT_AXES[target.command];
+                move[movement[0]] += movement[1] * value;
+            } else if (target.action) {
+                this.moveActionBy(target.action, target.axis == 0 ? value : 0, target.axis == 1 ? value : 0, step);
+            } else {
+                vectors[target.type][target.axis] += value;
+            }
+        }, this);
+
+        var distance = this.options.flySpeed * dt;
+        this.moveBy(new XML3D.Vec3(move).scale(distance));
+        var translate = new XML3D.Vec3(translation);
+        if (translate.length())
+            tf.translate(tf.inverseTransformOf(translate.scale(distance)));
+        var rotate = new XML3D.Vec3(rotation);
+        var angle = rotate.length();
+        if (angle)
+            tf.rotate(XML3D.Quat.fromAxisAngle(rotate.normalize(), angle * this.options.rotateSpeed * dt));
+        this.applyConstraints();
     };
-    
-    XML3D.StandardCamera.prototype.intersect_xz_plane = function (ray) {
-        if (ray.direction.y == 0 && ray.origin.y == 0)
-            return ray.origin;
-        
-        if (ray.direction.y >= 0 || ray.origin.y <= 0) 
+
+    // -----------------------------------------------------
+    // focus and announcements
+    // -----------------------------------------------------
+
+    var FOCUS_RING = "2px solid #4d90fe";
+
+    // Sets an attribute the page did not set itself, detach removes it again
+    XML3D.StandardCamera.prototype.setDefaultAttribute = function(name, value) {
+        if (this.xml3d.hasAttribute(name))
             return;
-        
-        var t = -(ray.origin.y / ray.direction.y);
-        return ray.origin.add(ray.direction.scale(t));
-    }
-    
-    XML3D.StandardCamera.prototype.intersect_ray_plane = function (ray, plane_normal, plane_origin) {
-        var divisor = ray.direction.dot(plane_normal);
-        var factor = (plane_origin.subtract(ray.origin)).dot(plane_normal);
-        if (divisor == 0) {
-            if (factor == 0)
-                return ray.origin;
+        this.xml3d.setAttribute(name, value);
+        this.addedAttributes.push(name);
+    };
+
+    // A role of application takes the keys of screen readers, so it and the live region only exist while keys work
+    XML3D.StandardCamera.prototype.updateKeyAccessibility = function() {
+        if (!this.addedAttributes)
+            return;
+        var index = this.addedAttributes.indexOf("role");
+        if (!this.keysEnabled()) {
+            if (index != -1) {
+                this.xml3d.removeAttribute("role");
+                this.addedAttributes.splice(index, 1);
+            }
+            this.removeLiveRegion();
             return;
         }
-        
-        var d = factor / divisor;
-        if (d < 0) return;
-        
-        return ray.origin.add(ray.direction.scale(d));
-    }
-    
-    
-    // -----------------------------------------------------
-    // touch rotation and movement
-    // -----------------------------------------------------
-    
-    XML3D.StandardCamera.prototype.touchStartEvent = function(event) {
-        if (event.target.nodeName.toLowerCase() == "xml3d")
-            this.stopEvent(event);
-        
-        var ev = event || window.event;
-        
-        this.action = this.mode.touch[ev.touches.length-1];
-        if (!this.action) {
-            this.action = this.NO_ACTION;
-            return false;
+        this.setDefaultAttribute("role", "application");
+        if (this.options.announce && !this.liveRegion)
+            this.liveRegion = createLiveRegion(this.xml3d);
+    };
+
+    XML3D.StandardCamera.prototype.removeLiveRegion = function() {
+        if (this.liveRegion) {
+            this.liveRegion.parentNode.removeChild(this.liveRegion);
+            this.liveRegion = null;
         }
-        
-        var touchPositions = [];
-        for (var i = 0; i < ev.touches.length; i++)
-            touchPositions[i] = {x: ev.touches[i].pageX, y: ev.touches[i].pageY};
+        this.announcePending = false;
+    };
 
-        var start = this.action.start;
-        if (start) start.call(this, touchPositions[0].x, touchPositions[0].y);
-        
-        this.prevTouchPositions = touchPositions;
-        
-        return false;
+    XML3D.StandardCamera.prototype.focusEvent = function() {
+        this.showFocusRing(!this.pointerFocus);
+        this.startGamepads();
     };
-    
-    XML3D.StandardCamera.prototype.touchEndEvent = function(event) {
-        if (event.target.nodeName.toLowerCase() == "xml3d")
-            this.stopEvent(event);
-        
-        var ev = event || window.event;
-        
-        if (!this.action)
-            return false;
-        
-        var touchPositions = [];
-        for (var i=0; i<ev.touches.length; i++)
-            touchPositions[i] = {x: ev.touches[i].pageX, y: ev.touches[i].pageY};
-        
-        var end = this.action.end;
-        if (end) end.call(this, touchPositions[0].x, touchPositions[0].y);
-        
-        this.action = this.NO_ACTION;
-        
-        return false;
+
+    XML3D.StandardCamera.prototype.blurEvent = function() {
+        this.keysDown = {};
+        this.showFocusRing(false);
     };
-    
-    XML3D.StandardCamera.prototype.touchMoveEvent = function(event, camera) {
-        if (event.target.nodeName.toLowerCase() == "xml3d")
-            this.stopEvent(event);
-        
-        var ev = event || window.event;
-        if (!this.action)
-            return;
-        
-        var touchPositions = [];
-        for (var i = 0; i < ev.touches.length; i++)
-            touchPositions[i] = {x: ev.touches[i].pageX, y: ev.touches[i].pageY};
-        
-        var dx = touchPositions[0].x - this.prevTouchPositions[0].x;
-        var dy = touchPositions[0].y - this.prevTouchPositions[0].y;
-        
-        var move = this.action.move;
-        if (move) move.call(this, touchPositions[0].x, touchPositions[0].y, dx, dy);
-        
-        // var f, dx, dy, dv, trans, mx, my;
-        // switch(this.action) {
-            // case(this.DOLLY):
-                // if (this.touchTranslateMode == "twofinger") {
-                    // apple-style 2-finger dolly + translate
-                    // var prevMidpoint;
-
-                    // if (this.prevTouchPositions.length > 1) {
-                        // prevMidpoint = {x:(this.prevTouchPositions[0].x + this.prevTouchPositions[1].x) / 2 ,
-                                        // y:(this.prevTouchPositions[0].y + this.prevTouchPositions[1].y) / 2 }
-                    // }
-
-                    // if (prevMidpoint !== undefined) {
-                        // var curMidpoint = {x:(ev.touches[0].pageX + ev.touches[1].pageX) / 2 ,
-                                           // y:(ev.touches[0].pageY + ev.touches[1].pageY) / 2 };
-                        // f = 2.0* Math.tan(this.transformInterface.fieldOfView/2.0) / this.height;
-                        // dx = f*(curMidpoint.x - prevMidpoint.x);
-                        // dy = f*(curMidpoint.y - prevMidpoint.y);
-                        // trans = XML3D.Vec3.fromValues(-dx*this.zoomSpeed, dy*this.zoomSpeed, 0.0);
-                        // this.transformInterface.translate(this.transformInterface.inverseTransformOf(trans));
-                    // }
-                // }
-
-                // if (this.prevZoomVectorLength !== null) {
-                    // dv = {x: ev.touches[0].pageX - ev.touches[1].pageX, y: ev.touches[0].pageY - ev.touches[1].pageY};
-                    // var currLength = Math.sqrt(dv.x*dv.x + dv.y*dv.y);
-
-                    // dy = this.zoomSpeed * (currLength - this.prevZoomVectorLength) / this.height;
-                    // this.transformInterface.translate(this.transformInterface.inverseTransformOf(XML3D.Vec3.fromValues(0, 0, -dy)));
-
-                    // this.prevZoomVectorLength = currLength;
-                // } else {
-                    // dv = {x: ev.touches[0].pageX - ev.touches[1].pageX, y: ev.touches[0].pageY - ev.touches[1].pageY};
-                    // this.prevZoomVectorLength = Math.sqrt(dv.x*dv.x + dv.y*dv.y);
-                // }
-
-                // break;
-        // }
-
-        if (this.action != this.NO_ACTION) {
-            
-            this.prevTouchPositions = touchPositions;
-            event.returnValue = false;
+
+    XML3D.StandardCamera.prototype.showFocusRing = function(show) {
+        var style = this.xml3d.style;
+        if (show && this.options.focusRing && this.savedOutline === undefined) {
+            this.savedOutline = {outline: style.outline, outlineOffset: style.outlineOffset};
+            style.outline = FOCUS_RING;
+            style.outlineOffset = "-2px";
+        } else if (!show && this.savedOutline !== undefined) {
+            style.outline = this.savedOutline.outline;
+            style.outlineOffset = this.savedOutline.outlineOffset;
+            this.savedOutline = undefined;
         }
+    };
 
-        return false;
+    XML3D.StandardCamera.prototype.announce = function(message) {
+        if (!this.liveRegion || !message)
+            return;
+        // Replacing the text node makes screen readers repeat a message even if it did not change
+        this.liveRegion.textContent = "";
+        this.liveRegion.appendChild(document.createTextNode(message));
     };
 
+    // A short text for screen readers, the announce option may be a function that returns another one
+    XML3D.StandardCamera.prototype.describeView = function() {
+        if (typeof this.options.announce === "function")
+            return this.options.announce.call(this, this.getState());
 
-    // -----------------------------------------------------
-    // key movement
-    // -----------------------------------------------------
+        var tf = this.transformInterface;
+        var direction = tf.direction;
+        var views = ["front", "back", "left", "right", "top", "bottom", "iso"];
+        for (var i = 0; i < views.length; i++) {
+            if (direction.dot(this.getViewDirection(views[i])) > Math.cos(5 * Math.PI / 180))
+                return views[i].charAt(0).toUpperCase() + views[i].slice(1) + " view";
+        }
 
-    XML3D.StandardCamera.prototype.keyHandling = function(e) {
-        this.stopEvent(e);
+        var up = this.options.upVector.normalize();
+        var front = this.getAzimuthReference(up);
+        var offset = direction.negate();
+        var azimuth = Math.atan2(offset.dot(up.cross(front)), offset.dot(front));
+        var elevation = Math.asin(clamp(offset.dot(up), -1, 1));
+        var text = "Azimuth " + Math.round(azimuth * 180 / Math.PI) + " degrees, elevation " +
+            Math.round(elevation * 180 / Math.PI) + " degrees";
+        if (this.state.examinePoint)
+            text += ", distance " + Number(tf.position.subtract(this.state.examinePoint).length().toPrecision(3));
+        return text;
+    };
 
-        var KeyID = e.keyCode;
-        if (KeyID == 0) {
-            switch (e.which) {
-            case 119:
-                KeyID = 87;
-                break; // w
-            case 100:
-                KeyID = 68;
-                break; // d
-            case 97:
-                KeyID = 65;
-                break; // a
-            case 115:
-                KeyID = 83;
-                break; // s
-            }
+    var createLiveRegion = function(xml3d) {
+        var region = document.createElement("div");
+        region.className = "xml3d-camera-status";
+        region.setAttribute("role", "status");
+        region.setAttribute("aria-live", "polite");
+        var style = region.style;
+        style.position = "absolute";
+        style.width = style.height = "1px";
+        style.overflow = "hidden";
+        style.clip = "rect(0 0 0 0)";
+        style.whiteSpace = "nowrap";
+        xml3d.parentNode.insertBefore(region, xml3d.nextSibling);
+        return region;
+    };
+
+    /**
+     * Moves the camera along the ground, following its height and stopping in front of obstacles
+     */
+    XML3D.StandardCamera.prototype.walk = function(move) {
+        var tf = this.transformInterface;
+        var position = tf.position;
+        var distance = move.length();
+        if (this.state.eyeHeight == null)
+            this.state.eyeHeight = this.options.eyeHeight || this.getHeightAboveGround();
+        var collisionDistance = this.options.collisionDistance || this.state.eyeHeight * 0.25 || 0;
+
+        var hit = this.castRay(position, move.scale(1 / distance));
+        if (hit && hit.distance < distance + collisionDistance) {
+            // Slide along the obstacle if we know its orientation
+            if (!hit.normal || move.dot(hit.normal) >= 0)
+                return;
+            move = move.subtract(hit.normal.scale(move.dot(hit.normal)));
+            distance = move.length();
+            if (distance < 1e-6)
+                return;
+            hit = this.castRay(position, move.scale(1 / distance));
+            if (hit && hit.distance < distance + collisionDistance)
+                return;
         }
+        position = position.add(move);
 
-        var dir = this.transformInterface.direction;
-        var right = this.transformInterface.rightVector;
-        var np;
-        
-        switch (KeyID) {
-            case 38: // up
-            case 87: // w
-                np = dir;
-                break;
-            case 39: // right
-            case 68: // d
-                np = right;
-                break;
-            case 37: // left
-            case 65: // a
-                np = right.scale(-1);
-                break;
-            case 40: // down
-            case 83: // s
-                np = dir.scale(-1);
-                break;
-            
-            default:
+        var up = this.options.upVector.normalize();
+        var ground = this.castRay(position, up.negate());
+        if (ground && this.state.eyeHeight)
+            position = ground.point.add(up.scale(this.state.eyeHeight));
+        tf.position = position;
+    };
+
+    XML3D.StandardCamera.prototype.getHeightAboveGround = function() {
+        var ground = this.castRay(this.transformInterface.position, this.options.upVector.normalize().negate());
+        return ground ? ground.distance : 0;
+    };
+
+    XML3D.StandardCamera.prototype.castRay = function(origin, direction) {
+        var tf = this.transformInterface;
+        var point = new XML3D.Vec3();
+        var normal = new XML3D.Vec3();
+        if (!this.xml3d.getElementByRay(new XML3D.Ray(tf.parentToWorld(origin), tf.parentToWorldDirection(direction)), point, normal))
+            return null;
+        if (isNaN(XML3D.math.vec3.sqrLen(point.data)))
+            return null;
+        point = tf.worldToParent(point);
+        if (!isNaN(XML3D.math.vec3.sqrLen(normal.data)))
+            normal = tf.worldToParentDirection(normal);
+        return {
+            point: point,
+            normal: isNaN(XML3D.math.vec3.sqrLen(normal.data)) || !normal.length() ? null : normal.normalize(),
+            distance: point.subtract(origin).length()
+        };
+    };
+
+
+    /**
+     * Calls the given function once per animation frame with the seconds elapsed since the previous call, until the
+     * function returns false or the loop is stopped.
+     */
+    var FrameLoop = function(callback) {
+        var self = this;
+        this.callback = callback;
+        this.running = false;
+        this.handle = null;
+        this.lastTime = 0;
+        this.tick = function() {
+            self.handle = null;
+            if (!self.running)
                 return;
+            var time = now();
+            var dt = (time - self.lastTime) / 1000;
+            self.lastTime = time;
+            if (self.callback(dt) === false)
+                self.running = false;
+            if (self.running && self.handle === null)
+                self.handle = requestFrame(self.tick);
+        };
+    };
+
+    FrameLoop.prototype.start = function() {
+        if (!this.running)
+            this.lastTime = now();
+        this.running = true;
+        if (this.handle === null)
+            this.handle = requestFrame(this.tick);
+    };
+
+    FrameLoop.prototype.stop = function() {
+        this.running = false;
+        if (this.handle !== null) {
+            cancelFrame(this.handle);
+            this.handle = null;
         }
-        this.transformInterface.translate(np.scale(this.options.moveSpeed));
     };
 
 
-    var TransformInterface = function(element, xml3d) {
+    var TransformInterface = function(element, xml3d, adapter) {
         this.element = element;
         this.xml3d = xml3d;
-        this.transform = this.getTransformForElement(element);
+        this.adapter = adapter ? new CustomAdapter(adapter) : this.getAdapterForElement(element);
     };
 
-    TransformInterface.prototype.getTransformForElement = function(element) {
+    TransformInterface.prototype.getAdapterForElement = function(element) {
         if (element.hasAttribute("transform")) {
             //If the element already has a transform we can reuse that
-            return document.querySelector(element.getAttribute("transform"));
+            var transform = document.querySelector(element.getAttribute("transform"));
+            var matrix = transform && transform.querySelector("float4x4[name=transform]");
+            if (matrix)
+                return new MatrixAdapter(readFloat4x4.bind(null, matrix), writeFloat4x4.bind(null, matrix));
+            if (transform && transform.localName == "transform")
+                return new TransformAdapter(transform);
+            XML3D.debug.logWarning("The transform of the camera element is neither a <transform> nor has it a float4x4 named transform, replacing it.");
+        } else if (element.style && element.style.transform && element.style.transform != "none") {
+            return new MatrixAdapter(readCSSMatrix.bind(null, element), writeCSSMatrix.bind(null, element));
         }
-        return this.createTransformForView(element);
+        return new TransformAdapter(this.createTransformForView(element));
     };
 
     TransformInterface.prototype.createTransformForView = (function() {
@@ -639,18 +3464,183 @@
     })();
 
     TransformInterface.prototype.__defineGetter__("orientation", function() {
-        return XML3D.Quat.fromAxisAngle(this.transform.rotation);
+        return this.adapter.getOrientation();
     });
     TransformInterface.prototype.__defineGetter__("position", function() {
-        return this.transform.translation;
+        return this.adapter.getPosition();
     });
     TransformInterface.prototype.__defineSetter__("orientation", function(orientation) {
-        var aa = XML3D.AxisAngle.fromQuat(orientation);
-        this.transform.setAttribute("rotation", aa.toDOMString());
+        this.adapter.setOrientation(orientation);
+        if (this.onChange) this.onChange();
     });
     TransformInterface.prototype.__defineSetter__("position", function(position) {
-        this.transform.setAttribute("translation", position.toDOMString());
+        this.adapter.setPosition(position);
+        if (this.onChange) this.onChange();
     });
+
+    // The pose is relative to the parent of the element, while picking and bounding boxes are in world space
+    TransformInterface.prototype.getParentMatrix = function() {
+        var parent = this.element.parentElement;
+        return parent && parent.getWorldMatrix ? parent.getWorldMatrix().data : XML3D.math.mat4.create();
+    };
+
+    TransformInterface.prototype.worldToParent = function(point) {
+        var mat4 = XML3D.math.mat4;
+        return transformPoint(point, mat4.invert(mat4.create(), this.getParentMatrix()));
+    };
+
+    TransformInterface.prototype.parentToWorld = function(point) {
+        return transformPoint(point, this.getParentMatrix());
+    };
+
+    TransformInterface.prototype.worldToParentDirection = function(direction) {
+        var mat4 = XML3D.math.mat4;
+        return transformDirection(direction, mat4.invert(mat4.create(), this.getParentMatrix()));
+    };
+
+    TransformInterface.prototype.parentToWorldDirection = function(direction) {
+        return transformDirection(direction, this.getParentMatrix());
+    };
+
+    var transformPoint = function(point, matrix) {
+        var result = new XML3D.Vec3();
+        XML3D.math.vec3.transformMat4(result.data, point.data, matrix);
+        return result;
+    };
+
+    var transformDirection = function(direction, matrix) {
+        var result = new XML3D.Vec3();
+        XML3D.math.vec3.transformMat3(result.data, direction.data, XML3D.math.mat3.fromMat4(XML3D.math.mat3.create(), matrix));
+        return result.length() ? result.normalize() : result;
+    };
+
+    // -----------------------------------------------------
+    // transform adapters, each stores the pose in another way
+    // -----------------------------------------------------
+
+    // The translation and rotation attributes of a <transform> element
+    var TransformAdapter = function(transform) {
+        this.transform = transform;
+    };
+
+    TransformAdapter.prototype.getPosition = function() {
+        return this.transform.translation;
+    };
+
+    TransformAdapter.prototype.getOrientation = function() {
+        return XML3D.Quat.fromAxisAngle(this.transform.rotation);
+    };
+
+    TransformAdapter.prototype.setPosition = function(position) {
+        this.transform.setAttribute("translation", position.toDOMString());
+    };
+
+    TransformAdapter.prototype.setOrientation = function(orientation) {
+        var aa = XML3D.AxisAngle.fromQuat(orientation);
+        this.transform.setAttribute("rotation", aa.toDOMString());
+    };
+
+    // A 4x4 matrix in column major order, the scale it contains is kept
+    var MatrixAdapter = function(read, write) {
+        this.read = read;
+        this.write = write;
+    };
+
+    MatrixAdapter.prototype.getPosition = function() {
+        return decomposeMatrix(this.read()).position;
+    };
+
+    MatrixAdapter.prototype.getOrientation = function() {
+        return decomposeMatrix(this.read()).orientation;
+    };
+
+    MatrixAdapter.prototype.setPosition = function(position) {
+        var pose = decomposeMatrix(this.read());
+        this.write(composeMatrix(position, pose.orientation, pose.scale));
+    };
+
+    MatrixAdapter.prototype.setOrientation = function(orientation) {
+        var pose = decomposeMatrix(this.read());
+        this.write(composeMatrix(pose.position, orientation, pose.scale));
+    };
+
+    // The get and set functions given by the application
+    var CustomAdapter = function(adapter) {
+        if (typeof adapter.get !== "function" || typeof adapter.set !== "function")
+            throw("A custom camera transform needs a get and a set function");
+        this.adapter = adapter;
+    };
+
+    CustomAdapter.prototype.getPosition = function() {
+        return new XML3D.Vec3(this.adapter.get().position);
+    };
+
+    CustomAdapter.prototype.getOrientation = function() {
+        return new XML3D.Quat(this.adapter.get().orientation).normalize();
+    };
+
+    CustomAdapter.prototype.setPosition = function(position) {
+        this.adapter.set(position, this.getOrientation());
+    };
+
+    CustomAdapter.prototype.setOrientation = function(orientation) {
+        this.adapter.set(this.getPosition(), orientation);
+    };
+
+    var decomposeMatrix = function(matrix) {
+        var mat3 = XML3D.math.mat3;
+        var rotation = mat3.fromMat4(mat3.create(), matrix);
+        var scale = [];
+        for (var c = 0; c < 3; c++) {
+            var column = XML3D.math.vec3.fromValues(rotation[c * 3], rotation[c * 3 + 1], rotation[c * 3 + 2]);
+            scale[c] = XML3D.math.vec3.length(column) || 1;
+            for (var r = 0; r < 3; r++)
+                rotation[c * 3 + r] /= scale[c];
+        }
+        var orientation = new XML3D.Quat();
+        XML3D.math.quat.fromMat3(orientation.data, rotation);
+        return {
+            position: XML3D.Vec3.fromValues(matrix[12], matrix[13], matrix[14]),
+            orientation: orientation.normalize(),
+            scale: scale
+        };
+    };
+
+    var composeMatrix = function(position, orientation, scale) {
+        var mat4 = XML3D.math.mat4;
+        var matrix = mat4.fromRotationTranslation(mat4.create(), orientation.data, position.data);
+        return mat4.scale(matrix, matrix, scale);
+    };
+
+    // Values written by the camera are read back from the text, the element may not be updated by XML3D yet
+    var readFloat4x4 = function(element) {
+        var values = element.textContent.trim().split(/[\s,]+/).map(parseFloat);
+        return values.length == 16 && values.every(isFinite) ? values : XML3D.math.mat4.create();
+    };
+
+    var writeFloat4x4 = function(element, matrix) {
+        element.textContent = Array.prototype.join.call(matrix, " ");
+    };
+
+    var readCSSMatrix = function(element) {
+        var transform = element.style.transform;
+        var values = /^\s*matrix3d\(([^)]*)\)\s*$/.exec(transform);
+        if (values) {
+            values = values[1].split(",").map(parseFloat);
+            if (values.length == 16 && values.every(isFinite))
+                return values;
+        }
+        var CSSMatrix = window.DOMMatrix || window.WebKitCSSMatrix;
+        if (!transform || transform == "none" || !CSSMatrix)
+            return XML3D.math.mat4.create();
+        var m = new CSSMatrix(transform);
+        return [m.m11, m.m12, m.m13, m.m14, m.m21, m.m22, m.m23, m.m24, m.m31, m.m32, m.m33, m.m34, m.m41, m.m42, m.m43, m.m44];
+    };
+
+    var writeCSSMatrix = function(element, matrix) {
+        element.style.transform = "matrix3d(" + Array.prototype.join.call(matrix, ",") + ")";
+    };
+
     TransformInterface.prototype.__defineGetter__("direction", function() {
         var dir = new XML3D.Vec3.fromValues(0, 0, -1);
         return dir.transformQuat(this.orientation);
@@ -663,18 +3653,110 @@
         var right = new XML3D.Vec3.fromValues(1, 0, 0);
         return right.transformQuat(this.orientation);
     });
+    // Elements that were just created may not be initialized by XML3D yet
+    var getFloatValue = function(element) {
+        var value = element.getValue ? element.getValue() : parseFloat(element.textContent);
+        return value && value.length !== undefined ? value[0] : value;
+    };
+
+    var getFloatValues = function(element) {
+        var value = element.getValue ? element.getValue() : null;
+        return value && value.length !== undefined ? value : element.textContent.trim().split(/\s+/).map(parseFloat);
+    };
+
+    var PROJECTIVE_MODEL = "urn:xml3d:view:projective";
+    var ORTHO_DEPTH = 10000;
+
+    TransformInterface.prototype.getProjectionMatrix = function() {
+        if (this.element.getAttribute("model") !== PROJECTIVE_MODEL)
+            return null;
+        var matrix = this.element.querySelector("float4x4[name=projectionMatrix]");
+        return matrix ? getFloatValues(matrix) : null;
+    };
+
+    // An orthographic projection keeps w, so the last row of its matrix is (0, 0, 0, 1)
+    TransformInterface.prototype.__defineGetter__("orthographic", function() {
+        var m = this.getProjectionMatrix();
+        return !!m && m.length == 16 && m[3] == 0 && m[7] == 0 && m[11] == 0 && m[15] == 1;
+    });
+    // The height of an orthographic view in world units, 0 for perspective views
+    TransformInterface.prototype.__defineGetter__("orthoHeight", function() {
+        return this.orthographic ? 2 / this.getProjectionMatrix()[5] : 0;
+    });
+    TransformInterface.prototype.__defineSetter__("orthoHeight", function(height) {
+        this.setOrthoMatrix(height);
+        if (this.onChange) this.onChange();
+    });
+
+    // Writes the orthographic projection for the current aspect ratio of the canvas without reporting a pose change
+    TransformInterface.prototype.setOrthoMatrix = function(height) {
+        var element = this.element.querySelector("float4x4[name=projectionMatrix]");
+        //Keep the depth range of an existing orthographic projection, otherwise include everything behind the camera too
+        var near = -ORTHO_DEPTH, far = ORTHO_DEPTH;
+        if (this.orthographic) {
+            var m = this.getProjectionMatrix();
+            near = (m[14] + 1) / m[10];
+            far = (m[14] - 1) / m[10];
+        } else {
+            //Remember the perspective projection, which may be a projection matrix too, for usePerspective
+            this.perspective = {model: this.element.getAttribute("model"), matrix: element ? element.textContent : null};
+        }
+        var width = height * (this.xml3d.clientWidth / this.xml3d.clientHeight || 1);
+        var matrix = XML3D.math.mat4.ortho(XML3D.math.mat4.create(), -width / 2, width / 2, -height / 2, height / 2, near, far);
+
+        if (!element) {
+            element = document.createElement("float4x4");
+            element.setAttribute("name", "projectionMatrix");
+            this.element.appendChild(element);
+        }
+        element.textContent = Array.prototype.join.call(matrix, " ");
+        this.element.setAttribute("model", PROJECTIVE_MODEL);
+    };
+
+    TransformInterface.prototype.usePerspective = function() {
+        var perspective = this.perspective;
+        this.perspective = null;
+        if (perspective) {
+            var element = this.element.querySelector("float4x4[name=projectionMatrix]");
+            if (element && perspective.matrix !== null)
+                element.textContent = perspective.matrix;
+            else if (element)
+                element.parentNode.removeChild(element);
+        }
+        if (perspective && perspective.model)
+            this.element.setAttribute("model", perspective.model);
+        else
+            this.element.removeAttribute("model");
+        if (this.onChange) this.onChange();
+    };
+
     TransformInterface.prototype.__defineGetter__("fieldOfView", function() {
         var fovh = this.element.querySelector("float[name=fovHorizontal]");
         if (fovh) {
-            var h = fovh.getValue();
-            return 2 * Math.atan(Math.tan(h / 2.0) * this.xml3d.width / this.xml3d.height);
+            var h = getFloatValue(fovh);
+            return 2 * Math.atan(Math.tan(h / 2.0) * this.xml3d.height / this.xml3d.width);
         }
         var fovv = this.element.querySelector("float[name=fovVertical]");
         if (fovv) {
-            return fovv.getValue();
+            return getFloatValue(fovv);
         }
         return (45 * Math.PI / 180); //Default FOV
     });
+    TransformInterface.prototype.__defineSetter__("fieldOfView", function(fov) {
+        var fovh = this.element.querySelector("float[name=fovHorizontal]");
+        if (fovh) {
+            fovh.textContent = 2 * Math.atan(Math.tan(fov / 2.0) * this.xml3d.width / this.xml3d.height);
+        } else {
+            var fovv = this.element.querySelector("float[name=fovVertical]");
+            if (!fovv) {
+                fovv = document.createElement("float");
+                fovv.setAttribute("name", "fovVertical");
+                this.element.appendChild(fovv);
+            }
+            fovv.textContent = fov;
+        }
+        if (this.onChange) this.onChange();
+    });
 
     TransformInterface.prototype.rotateAroundPoint = (function() {
         var tmpQuat = new XML3D.Quat();
@@ -701,6 +3783,12 @@
         this.orientation = rot;
     };
 
+    // Rotates the camera around p0, q0 is given in the coordinate space of the parent unlike for rotateAroundPoint
+    TransformInterface.prototype.orbit = function(q0, p0) {
+        this.orientation = q0.mul(this.orientation).normalize();
+        this.position = this.position.subtract(p0).transformQuat(q0).add(p0);
+    };
+
     TransformInterface.prototype.rotate = function(q0) {
         this.orientation = this.orientation.mul(q0).normalize();
     };
@@ -713,16 +3801,31 @@
         return vec.transformQuat(this.orientation);
     };
 
-    TransformInterface.prototype.lookAt = function(point) {
+    TransformInterface.prototype.lookAt = function(point, up) {
+        this.orientation = this.lookAtOrientation(point, up);
+    };
+
+    TransformInterface.prototype.lookAtOrientation = function(point, up) {
         var dir = point.sub(this.position).normalize();
-        var up = XML3D.Vec3.fromValues(0,1,0);
+        up = up ? new XML3D.Vec3(up).normalize() : XML3D.Vec3.fromValues(0,1,0);
         var orientation = this.orientation;
         var basisX = new XML3D.Vec3(dir).cross(up);
-        if (!basisX.length()) {
+        if (basisX.length() < 1e-6) {
             basisX = XML3D.Vec3.fromValues(1,0,0).transformQuat(orientation);
         }
-        var basisY = basisX.clone().cross(dir);
+        basisX = basisX.normalize();
+        var basisY = basisX.clone().cross(dir).normalize();
         var basisZ = new XML3D.Vec3(dir).negate();
-        this.orientation = XML3D.Quat.fromBasis(basisX, basisY, basisZ);
+        return XML3D.Quat.fromBasis(basisX, basisY, basisZ);
     };
+
+    // For the scripts that extend the camera, e.g. camerapath.js and cameralink.js
+    XML3D.StandardCamera.FrameLoop = FrameLoop;
+    XML3D.StandardCamera.now = now;
+    XML3D.StandardCamera.toArray = toArray;
+    XML3D.StandardCamera.toVector = toVector;
+    XML3D.StandardCamera.samePoint = samePoint;
+    XML3D.StandardCamera.samePose = samePose;
+    XML3D.StandardCamera.transformPoint = transformPoint;
+    XML3D.StandardCamera.transformDirection = transformDirection;
 })();
@@ -0,0 +1,412 @@
+(function() {
+    /*************************************************************************/
+    /*                                                                       */
+    /*  cameralink.js                                                        */
+    /*  Links between cameras for synchronized views and overview maps       */
+    /*                                                                       */
+    /*  Copyright (C) 2015                                                   */
+    /*  DFKI - German Research Center for Artificial Intelligence            */
+    /*                                                                       */
+    /*************************************************************************/
+
+    if(!XML3D || !XML3D.StandardCamera)
+        throw("XML3D.StandardCamera not found, please ensure the cameralink script is included after camera.js");
+
+    var transformPoint = XML3D.StandardCamera.transformPoint;
+    var transformDirection = XML3D.StandardCamera.transformDirection;
+    var toArray = XML3D.StandardCamera.toArray;
+    var samePoint = XML3D.StandardCamera.samePoint;
+    var samePose = XML3D.StandardCamera.samePose;
+
+    var SVG_NS = "http://www.w3.org/2000/svg";
+
+    var MIRROR_PRESETS = {
+        pose: ["position", "orientation", "target"],
+        position: ["position"],
+        orientation: ["orientation"],
+        target: ["target"]
+    };
+    var MIRROR_COMPONENTS = ["position", "orientation", "target", "fieldOfView"];
+
+    // A click on the overview may move the pointer this many pixels, more is a drag of its own camera
+    var CLICK_DISTANCE = 5;
+
+    var POINTER_EVENTS = window.PointerEvent ? {down: "pointerdown", move: "pointermove", up: "pointerup"} :
+        {down: "mousedown", move: "mousemove", up: "mouseup"};
+
+    /**
+     * CameraLink makes one camera follow another one, e.g. to show the same scene in several <xml3d> elements or
+     * <view>s side by side. Whenever the source camera moves, the target camera takes over the mirrored parts of its
+     * pose. With twoWay the source also follows the target. A two-way link does not loop, since a camera only
+     * follows changes that did not come from the link itself. Several links that form a cycle only come to rest if
+     * their transforms and planes map each camera back onto itself, otherwise they keep moving each other.
+     *
+     * The mirror option chooses what the target takes over: "pose" for everything, "position", "orientation" or
+     * "target", where the target camera moves along with the examine point of the source and keeps its own
+     * orientation and distance, or an array of these components and "fieldOfView". With the plane option
+     * {normal, point} positions and examine points are projected onto that plane, without a point the target keeps
+     * its own offset from the plane. The transform option is a 4x4 matrix, as XML3D.Mat4 or array in column major
+     * order, from the world space of the source to the world space of the target. The plane is given in the world
+     * space of the target.
+     *
+     * With the marker option the target viewport shows the source camera as a marker with its field of view, e.g.
+     * on an overview map. Dragging the marker moves the source camera, clicking the target viewport moves the
+     * examine point of the source camera to the clicked point.
+     *
+     * @param {XML3D.StandardCamera} source The camera to follow
+     * @param {XML3D.StandardCamera} target The camera that follows
+     * @param {Object} opt
+     * @constructor
+     */
+    XML3D.CameraLink = function(source, target, opt) {
+        if (!source || !target) {
+            throw("Must provide a source and a target camera when initializing the CameraLink!");
+        }
+        if (source === target) {
+            throw("A camera can not be linked to itself");
+        }
+        opt = opt || {};
+        var self = this;
+        this.source = source;
+        this.target = target;
+
+        this.options = {};
+        this.options.mirror = normalizeMirror(opt.mirror || "pose");
+        this.options.twoWay = opt.twoWay !== undefined ? opt.twoWay : false;
+        this.options.plane = opt.plane ? {
+            normal: new XML3D.Vec3(opt.plane.normal).normalize(),
+            point: opt.plane.point ? new XML3D.Vec3(opt.plane.point) : null
+        } : null;
+        this.options.marker = opt.marker !== undefined ? opt.marker : false;
+        this.options.markerColor = opt.markerColor || "#e8540e";
+        this.options.markerSize = opt.markerSize || 10;
+        this.options.duration = opt.duration !== undefined ? opt.duration : 300;
+
+        var mat4 = XML3D.math.mat4;
+        this.matrix = opt.transform ? mat4.clone(opt.transform.data || opt.transform) : mat4.create();
+        this.inverse = mat4.invert(mat4.create(), this.matrix);
+        if (!this.inverse)
+            throw("The transform of a camera link must be invertible");
+
+        // The state of both cameras after they were last synchronized, changes to this state came from the link
+        this.synced = {source: null, target: null};
+
+        var sourceChange = function(e) {self.cameraChangeEvent(true);};
+        var targetChange = function(e) {self.cameraChangeEvent(false);};
+        this._evt_marker = function(e) {self.updateMarker();};
+        this.sourceListeners = {camerachange: sourceChange, pivotchange: sourceChange};
+        this.targetListeners = {camerachange: targetChange, pivotchange: targetChange};
+        this.markerListeners = {camerachange: this._evt_marker, projectionchange: this._evt_marker};
+        this._evt_markerdown = function(e) {self.markerDownEvent(e);};
+        this._evt_markermove = function(e) {self.markerMoveEvent(e);};
+        this._evt_markerup = function(e) {self.markerUpEvent(e);};
+        this._evt_pointerdown = function(e) {self.pointerDown = {x: e.pageX, y: e.pageY};};
+        this._evt_click = function(e) {self.clickEvent(e);};
+        this.dragging = false;
+        this.syncing = false;
+        this.pointerDown = null;
+        this.viewport = null;
+
+        source.addElementListeners(this.sourceListeners, function() { self.update(); });
+        target.addElementListeners(this.targetListeners, function() { self.targetElementChange(); });
+        if (this.options.marker) {
+            source.addElementListeners(this.markerListeners);
+            target.addElementListeners(this.markerListeners);
+            this.createMarker();
+        }
+        this.update();
+    };
+
+    /**
+     * Moves the target camera to follow the source camera right away, e.g. after changing the options.
+     */
+    XML3D.CameraLink.prototype.update = function() {
+        this.synced.source = null;
+        this.sync(true);
+        this.updateMarker();
+    };
+
+    /**
+     * Ends the link and removes the marker.
+     */
+    XML3D.CameraLink.prototype.destroy = function() {
+        this.source.removeElementListeners(this.sourceListeners);
+        this.target.removeElementListeners(this.targetListeners);
+        this.markerUpEvent();
+        if (this.svg) {
+            this.source.removeElementListeners(this.markerListeners);
+            this.target.removeElementListeners(this.markerListeners);
+            window.removeEventListener("resize", this._evt_marker, false);
+            this.listenViewport(this.viewport, false);
+            if (this.svg.parentNode)
+                this.svg.parentNode.removeChild(this.svg);
+            this.svg = null;
+        }
+    };
+
+
+    //---------- End public API ----------------
+
+
+    // The marker and its click listeners stay with the <xml3d> element of the target camera
+    XML3D.CameraLink.prototype.targetElementChange = function() {
+        if (this.svg) {
+            var xml3d = this.target.xml3d;
+            this.svg.parentNode.removeChild(this.svg);
+            xml3d.parentNode.insertBefore(this.svg, xml3d.nextSibling);
+            this.listenViewport(this.viewport, false);
+            this.listenViewport(xml3d, true);
+        }
+        this.update();
+    };
+
+    XML3D.CameraLink.prototype.cameraChangeEvent = function(fromSource) {
+        // setPivot reports the examine point right away, while the link still moves the other camera
+        if (this.syncing)
+            return;
+        if (fromSource || this.options.twoWay)
+            this.sync(fromSource);
+    };
+
+    // Moves one camera after the other one, unless the other one only moved because of this link
+    XML3D.CameraLink.prototype.sync = function(forward) {
+        var from = forward ? this.source : this.target;
+        var to = forward ? this.target : this.source;
+        var fromState = from.getState();
+        var mirror = this.options.mirror;
+        var synced = this.synced[forward ? "source" : "target"];
+        if (synced && sameState(synced, fromState, mirror))
+            return;
+
+        var map = this.getMapping(forward);
+        var plane = this.getPlane(forward);
+        var ft = from.transformInterface, tt = to.transformInterface;
+        var position = tt.position, orientation = tt.orientation;
+        var examinePoint = to.state.examinePoint;
+
+        if (mirror.orientation)
+            orientation = tt.lookAtOrientation(tt.position.add(map.direction(ft.direction)), map.direction(ft.upVector));
+        if (mirror.target && from.state.examinePoint) {
+            var previous = examinePoint;
+            examinePoint = project(map.point(from.state.examinePoint), plane, previous || tt.position);
+            if (previous && !mirror.position)
+                position = position.add(examinePoint.subtract(previous));
+        }
+        if (mirror.position)
+            position = project(map.point(ft.position), plane, tt.position);
+        this.syncing = true;
+        if (mirror.fieldOfView && !ft.orthographic && !tt.orthographic && Math.abs(tt.fieldOfView - ft.fieldOfView) > 1e-6)
+            tt.fieldOfView = ft.fieldOfView;
+        if (examinePoint && examinePoint !== to.state.examinePoint &&
+            !(to.state.examinePoint && samePoint(examinePoint.data, to.state.examinePoint.data)))
+            to.setPivot(examinePoint);
+        var state = to.getState();
+        if (!samePose(state, {position: toArray(position), orientation: toArray(orientation)})) {
+            to.flyTo(position, orientation, {duration: 0});
+            state = to.getState();
+        }
+        this.syncing = false;
+        this.synced[forward ? "source" : "target"] = fromState;
+        this.synced[forward ? "target" : "source"] = state;
+    };
+
+    // Maps points and directions from the parent space of one camera to the parent space of the other one
+    XML3D.CameraLink.prototype.getMapping = function(forward) {
+        var ft = (forward ? this.source : this.target).transformInterface;
+        var tt = (forward ? this.target : this.source).transformInterface;
+        var matrix = forward ? this.matrix : this.inverse;
+        return {
+            point: function(point) {
+                return tt.worldToParent(transformPoint(ft.parentToWorld(point), matrix));
+            },
+            direction: function(direction) {
+                return tt.worldToParentDirection(transformDirection(ft.parentToWorldDirection(direction), matrix));
+            }
+        };
+    };
+
+    // The plane in the parent space of the camera that follows
+    XML3D.CameraLink.prototype.getPlane = function(forward) {
+        var plane = this.options.plane;
+        if (!plane)
+            return null;
+        var tt = (forward ? this.target : this.source).transformInterface;
+        var matrix = forward ? XML3D.math.mat4.create() : this.inverse;
+        return {
+            normal: tt.worldToParentDirection(transformDirection(plane.normal, matrix)),
+            point: plane.point ? tt.worldToParent(transformPoint(plane.point, matrix)) : null
+        };
+    };
+
+    // -----------------------------------------------------
+    // marker of the source camera in the target viewport
+    // -----------------------------------------------------
+
+    XML3D.CameraLink.prototype.createMarker = function() {
+        var xml3d = this.target.xml3d;
+        var svg = this.svg = createElement("svg", {"class": "xml3d-camera-marker"});
+        svg.style.position = "absolute";
+        svg.style.pointerEvents = "none";
+        svg.style.overflow = "visible";
+        svg.style.zIndex = 1;
+
+        var color = this.options.markerColor;
+        this.frustum = createElement("polygon", {fill: color, "fill-opacity": 0.25, stroke: color, "stroke-width": 1});
+        this.position = createElement("circle", {r: this.options.markerSize / 2, fill: color, stroke: "#fff", "stroke-width": 2});
+        [this.frustum, this.position].forEach(function(element) {
+            element.style.pointerEvents = "auto";
+            element.style.cursor = "move";
+            element.addEventListener(POINTER_EVENTS.down, this._evt_markerdown, false);
+            svg.appendChild(element);
+        }, this);
+        xml3d.parentNode.insertBefore(svg, xml3d.nextSibling);
+
+        window.addEventListener("resize", this._evt_marker, false);
+        this.listenViewport(xml3d, true);
+    };
+
+    // Clicks on the <xml3d> element of the target camera move the source camera
+    XML3D.CameraLink.prototype.listenViewport = function(xml3d, on) {
+        var method = on ? "addEventListener" : "removeEventListener";
+        xml3d[method](POINTER_EVENTS.down, this._evt_pointerdown, false);
+        xml3d[method]("click", this._evt_click, false);
+        this.viewport = on ? xml3d : null;
+    };
+
+    XML3D.CameraLink.prototype.updateMarker = function() {
+        var svg = this.svg;
+        if (!svg)
+            return;
+        var target = this.target, xml3d = target.xml3d;
+        svg.style.left = xml3d.offsetLeft + "px";
+        svg.style.top = xml3d.offsetTop + "px";
+        svg.setAttribute("width", xml3d.offsetWidth);
+        svg.setAttribute("height", xml3d.offsetHeight);
+
+        var st = this.source.transformInterface;
+        var map = this.getMapping(true);
+        var position = map.point(st.position);
+        var center = target.projectToScreen(position);
+        svg.style.display = center ? "" : "none";
+        if (!center)
+            return;
+        this.position.setAttribute("cx", center.x);
+        this.position.setAttribute("cy", center.y);
+
+        // The field of view opens in the direction the source camera looks at on the screen of the target
+        var ahead = target.projectToScreen(position.add(map.direction(st.direction).scale(this.getMarkerScale(position))));
+        var points = [];
+        if (ahead && (ahead.x != center.x || ahead.y != center.y)) {
+            var angle = Math.atan2(ahead.y - center.y, ahead.x - center.x);
+            var fov = st.orthographic ? 0.2 : 2 * Math.atan(Math.tan(st.fieldOfView / 2) * this.source.width / this.source.height);
+            var length = this.options.markerSize * 4;
+            points = [center, {x: center.x + length * Math.cos(angle - fov / 2), y: center.y + length * Math.sin(angle - fov / 2)},
+                {x: center.x + length * Math.cos(angle + fov / 2), y: center.y + length * Math.sin(angle + fov / 2)}];
+        }
+        this.frustum.setAttribute("points", points.map(function(point) { return point.x + "," + point.y; }).join(" "));
+    };
+
+    // A step along the view direction that is short compared to the distance from the target camera
+    XML3D.CameraLink.prototype.getMarkerScale = function(position) {
+        var tt = this.target.transformInterface;
+        return Math.max(position.subtract(tt.position).length() * 0.01, 1e-6);
+    };
+
+    XML3D.CameraLink.prototype.markerDownEvent = function(ev) {
+        if (ev.button)
+            return;
+        ev.preventDefault();
+        ev.stopPropagation();
+        this.dragging = true;
+        this.source.stopTransition();
+        document.addEventListener(POINTER_EVENTS.move, this._evt_markermove, false);
+        document.addEventListener(POINTER_EVENTS.up, this._evt_markerup, false);
+    };
+
+    XML3D.CameraLink.prototype.markerMoveEvent = function(ev) {
+        ev.preventDefault();
+        this.moveSource(ev.pageX, ev.pageY, true);
+    };
+
+    XML3D.CameraLink.prototype.markerUpEvent = function() {
+        if (!this.dragging)
+            return;
+        this.dragging = false;
+        document.removeEventListener(POINTER_EVENTS.move, this._evt_markermove, false);
+        document.removeEventListener(POINTER_EVENTS.up, this._evt_markerup, false);
+    };
+
+    XML3D.CameraLink.prototype.clickEvent = function(ev) {
+        var down = this.pointerDown;
+        this.pointerDown = null;
+        if (!down || Math.abs(ev.pageX - down.x) > CLICK_DISTANCE || Math.abs(ev.pageY - down.y) > CLICK_DISTANCE)
+            return;
+        this.moveSource(ev.pageX, ev.pageY, false);
+    };
+
+    // Moves the source camera parallel to its ground, either its position or its examine point to the given point
+    // on the target viewport
+    XML3D.CameraLink.prototype.moveSource = function(x, y, movePosition) {
+        var source = this.source, target = this.target;
+        var st = source.transformInterface;
+        var map = this.getMapping(false);
+        var up = source.options.upVector.normalize();
+        var focus = movePosition ? st.position : source.state.examinePoint || st.position;
+
+        var ray = target.generateRay(x, y);
+        var hit;
+        if (movePosition) {
+            hit = source.intersect_ray_plane(new XML3D.Ray(map.point(ray.origin), map.direction(ray.direction)), up, focus);
+        } else {
+            hit = target.intersectScene(ray);
+            hit = hit && map.point(hit);
+        }
+        if (!hit)
+            return;
+
+        var delta = hit.subtract(focus);
+        delta = delta.subtract(up.scale(delta.dot(up)));
+        if (source.state.examinePoint)
+            source.setPivot(source.state.examinePoint.add(delta));
+        source.flyTo(st.position.add(delta), null, {duration: movePosition ? 0 : this.options.duration});
+    };
+
+    var normalizeMirror = function(mirror) {
+        var components = typeof mirror === "string" ? MIRROR_PRESETS[mirror] : mirror;
+        if (!Array.isArray(components))
+            throw("Unknown camera link mirror '" + mirror + "'");
+        var result = {};
+        components.forEach(function(component) {
+            if (MIRROR_COMPONENTS.indexOf(component) == -1)
+                throw("Unknown camera link mirror component '" + component + "'");
+            result[component] = true;
+        });
+        return result;
+    };
+
+    // Without a point on the plane the point keeps the offset from the plane of the given reference
+    var project = function(point, plane, reference) {
+        if (!plane)
+            return point;
+        var base = plane.point || reference;
+        return point.subtract(plane.normal.scale(point.subtract(base).dot(plane.normal)));
+    };
+
+    // Compares the parts of two camera states that the link mirrors, the pose is always compared
+    var sameState = function(a, b, mirror) {
+        if (!samePose(a, b))
+            return false;
+        if (mirror.fieldOfView && Math.abs(a.fieldOfView - b.fieldOfView) > 1e-6)
+            return false;
+        if (mirror.target && (a.examinePoint || b.examinePoint))
+            return !!a.examinePoint && !!b.examinePoint && samePoint(a.examinePoint, b.examinePoint);
+        return true;
+    };
+
+    var createElement = function(name, attributes) {
+        var element = document.createElementNS(SVG_NS, name);
+        for (var key in attributes)
+            element.setAttribute(key, attributes[key]);
+        return element;
+    };
+})();
@@ -0,0 +1,473 @@
+(function() {
+    /*************************************************************************/
+    /*                                                                       */
+    /*  camerapath.js                                                        */
+    /*  Recording, authoring and playback of camera paths for XML3D scenes   */
+    /*                                                                       */
+    /*  Copyright (C) 2015                                                   */
+    /*  DFKI - German Research Center for Artificial Intelligence            */
+    /*                                                                       */
+    /*************************************************************************/
+
+    if(!XML3D || !XML3D.StandardCamera)
+        throw("XML3D.StandardCamera not found, please ensure the camerapath script is included after camera.js");
+
+    var now = XML3D.StandardCamera.now;
+    var toVector = XML3D.StandardCamera.toVector;
+    var samePose = XML3D.StandardCamera.samePose;
+
+    /**
+     * CameraPath records the motion of a StandardCamera as keyframes and plays it back. Keyframes may also be added
+     * one by one to author a path. Between the keyframes positions follow a Catmull-Rom spline and orientations a
+     * squad curve, unless the interpolation option is "linear".
+     *
+     * A keyframe holds its time in milliseconds from the start of the path, the position [x, y, z] and the
+     * orientation as quaternion [x, y, z, w], both relative to the parent of the camera element like the camera
+     * state, see XML3D.StandardCamera.prototype.getState.
+     *
+     * Playback pauses when the user moves the camera. The camera element receives a pathend event when playback
+     * reaches the end of the path, the detail holds the path and its time.
+     *
+     * @param {XML3D.StandardCamera} camera The camera to record and move
+     * @param {Object} opt
+     * @constructor
+     */
+    XML3D.CameraPath = function(camera, opt) {
+        if (!camera) {
+            throw("Must provide a camera when initializing the CameraPath!");
+        }
+        opt = opt || {};
+        var self = this;
+        this.camera = camera;
+        this.keyframes = [];
+        this.curve = null;
+
+        this.options = {};
+        this.options.speed = opt.speed !== undefined ? opt.speed : 1;
+        this.options.loop = opt.loop !== undefined ? opt.loop : false;
+        this.options.interpolation = opt.interpolation || "spline";
+        this.options.sampleInterval = opt.sampleInterval || 0;
+        this.options.keyframeDuration = opt.keyframeDuration !== undefined ? opt.keyframeDuration : 2000;
+
+        this.recording = null;
+        this.playback = {
+            playing: false,
+            time: 0,
+            loop: new XML3D.StandardCamera.FrameLoop(function(dt) { return self.frame(dt); }),
+            applied: null
+        };
+
+        this.listeners = {
+            camerastart: function(e) {self.cameraStartEvent(e);},
+            camerachange: function(e) {self.cameraChangeEvent(e);}
+        };
+    };
+
+    /**
+     * Starts recording the motion of the camera, which replaces the current keyframes unless append is set. Every
+     * camera movement adds a keyframe, at most one per sampleInterval milliseconds.
+     *
+     * @param {{append: boolean}=} opts With append the recording continues after the last keyframe
+     */
+    XML3D.CameraPath.prototype.record = function(opts) {
+        opts = opts || {};
+        this.stopRecording();
+        this.stop();
+        if (!opts.append)
+            this.clear();
+        // An appended recording starts keyframeDuration after the last keyframe
+        var keyframes = this.keyframes;
+        var offset = keyframes.length ? keyframes[keyframes.length - 1].time + this.options.keyframeDuration : 0;
+        this.recording = {start: now() - offset, last: null};
+        this.camera.addElementListeners(this.listeners);
+        this.sample(offset);
+    };
+
+    /**
+     * Stops recording, the path ends with the current pose of the camera.
+     */
+    XML3D.CameraPath.prototype.stopRecording = function() {
+        if (!this.recording)
+            return;
+        this.sample(now() - this.recording.start);
+        this.camera.removeElementListeners(this.listeners);
+        this.recording = null;
+    };
+
+    /**
+     * Adds a keyframe, a keyframe at the same time is replaced.
+     *
+     * @param {Object=} keyframe The time in milliseconds defaults to keyframeDuration after the last keyframe, the
+     *     position and orientation default to the current pose of the camera
+     * @return {Object} The added keyframe
+     */
+    XML3D.CameraPath.prototype.addKeyframe = function(keyframe) {
+        keyframe = keyframe || {};
+        var state = this.camera.getState();
+        var time = keyframe.time;
+        if (time === undefined)
+            time = this.keyframes.length ? this.keyframes[this.keyframes.length - 1].time + this.options.keyframeDuration : 0;
+        var entry = {
+            time: time,
+            position: keyframe.position !== undefined ? toVector(keyframe.position, 3) : state.position,
+            orientation: keyframe.orientation !== undefined ? toVector(keyframe.orientation, 4) : state.orientation
+        };
+        validateKeyframe(entry);
+
+        var keyframes = this.keyframes;
+        var index = 0;
+        while (index < keyframes.length && keyframes[index].time < time)
+            index++;
+        if (index < keyframes.length && keyframes[index].time === time)
+            keyframes[index] = entry;
+        else
+            keyframes.splice(index, 0, entry);
+        this.curve = null;
+        return entry;
+    };
+
+    /**
+     * @param {number} index
+     */
+    XML3D.CameraPath.prototype.removeKeyframe = function(index) {
+        if (index < 0 || index >= this.keyframes.length)
+            return;
+        this.keyframes.splice(index, 1);
+        this.curve = null;
+    };
+
+    /**
+     * Removes all keyframes.
+     */
+    XML3D.CameraPath.prototype.clear = function() {
+        this.keyframes = [];
+        this.curve = null;
+    };
+
+    /**
+     * @return {number} The time from the first to the last keyframe in milliseconds
+     */
+    XML3D.CameraPath.prototype.getDuration = function() {
+        var keyframes = this.keyframes;
+        return keyframes.length ? keyframes[keyframes.length - 1].time - keyframes[0].time : 0;
+    };
+
+    /**
+     * Interpolates the pose of the camera at the given time, which is clamped to the path.
+     *
+     * @param {number} time In milliseconds from the start of the path
+     * @return {{position: XML3D.Vec3, orientation: XML3D.Quat}|null} null if the path has no keyframes
+     */
+    XML3D.CameraPath.prototype.getPose = function(time) {
+        var curve = this.getCurve();
+        if (!curve)
+            return null;
+        var times = curve.times;
+        var last = times.length - 1;
+        time = Math.min(Math.max(time + times[0], times[0]), times[last]);
+
+        var i = 0;
+        while (i < last - 1 && times[i + 1] <= time)
+            i++;
+        var j = Math.min(i + 1, last);
+        var h = times[j] - times[i];
+        var t = h > 0 ? (time - times[i]) / h : 0;
+
+        var vec3 = XML3D.math.vec3, quat = XML3D.math.quat;
+        var position = new XML3D.Vec3();
+        var orientation = new XML3D.Quat();
+        if (this.options.interpolation == "linear") {
+            vec3.lerp(position.data, curve.positions[i], curve.positions[j], t);
+            quat.slerp(orientation.data, curve.orientations[i], curve.orientations[j], t);
+        } else {
+            hermite(position.data, curve.positions[i], curve.tangents[i], curve.positions[j], curve.tangents[j], h, t);
+            squad(orientation.data, curve.orientations[i], curve.controls[i], curve.orientations[j], curve.controls[j], t);
+        }
+        return {position: position, orientation: orientation.normalize()};
+    };
+
+    /**
+     * Plays the path from the current time or from the start if it is over.
+     *
+     * @param {{speed: number, from: number}=} opts The speed, negative speeds play backwards, and the time to start
+     *     from in milliseconds
+     */
+    XML3D.CameraPath.prototype.play = function(opts) {
+        opts = opts || {};
+        var playback = this.playback;
+        if (!this.keyframes.length)
+            return;
+        this.stopRecording();
+        if (opts.speed !== undefined)
+            this.options.speed = opts.speed;
+        var duration = this.getDuration();
+        if (opts.from !== undefined)
+            playback.time = opts.from;
+        else if (this.options.speed >= 0 ? playback.time >= duration : playback.time <= 0)
+            playback.time = this.options.speed >= 0 ? 0 : duration;
+
+        this.camera.stopTransition();
+        this.seek(playback.time);
+        playback.playing = true;
+        playback.loop.start();
+    };
+
+    /**
+     * Holds the camera at the current time of the path.
+     */
+    XML3D.CameraPath.prototype.pause = function() {
+        var playback = this.playback;
+        playback.playing = false;
+        playback.loop.stop();
+    };
+
+    /**
+     * Stops playback and rewinds the path, the camera stays where it is.
+     */
+    XML3D.CameraPath.prototype.stop = function() {
+        this.pause();
+        this.playback.time = 0;
+    };
+
+    /**
+     * Moves the camera to the pose at the given time, also while the path is playing.
+     *
+     * @param {number} time In milliseconds from the start of the path
+     */
+    XML3D.CameraPath.prototype.seek = function(time) {
+        var playback = this.playback;
+        playback.time = Math.min(Math.max(time, 0), this.getDuration());
+        var pose = this.getPose(playback.time);
+        if (!pose)
+            return;
+        this.camera.flyTo(pose.position, pose.orientation, {duration: 0});
+        playback.applied = this.camera.getState();
+    };
+
+    /**
+     * @return {number} The current time of the playback in milliseconds
+     */
+    XML3D.CameraPath.prototype.getTime = function() {
+        return this.playback.time;
+    };
+
+    /**
+     * @param {number} speed Factor of the recorded speed, negative speeds play backwards
+     */
+    XML3D.CameraPath.prototype.setSpeed = function(speed) {
+        this.options.speed = speed;
+    };
+
+    /**
+     * @return {{keyframes: Array}} The path as plain object that can be serialized to JSON
+     */
+    XML3D.CameraPath.prototype.toJSON = function() {
+        return {
+            keyframes: this.keyframes.map(function(keyframe) {
+                return JSON.parse(JSON.stringify(keyframe));
+            })
+        };
+    };
+
+    /**
+     * Replaces all keyframes with the ones from an export of toJSON. Stops the playback. Invalid input leaves the
+     * keyframes unchanged.
+     *
+     * @param {Object|string} json The exported object or its JSON string
+     */
+    XML3D.CameraPath.prototype.fromJSON = function(json) {
+        var data = typeof json === "string" ? JSON.parse(json) : json;
+        if (!data || !Array.isArray(data.keyframes))
+            throw("Invalid camera path, expected an object with a keyframes array");
+        var keyframes = data.keyframes.map(function(keyframe) {
+            keyframe = keyframe || {};
+            return validateKeyframe({
+                time: keyframe.time,
+                position: toVector(keyframe.position, 3),
+                orientation: toVector(keyframe.orientation, 4)
+            });
+        });
+        this.stopRecording();
+        this.stop();
+        this.clear();
+        keyframes.forEach(this.addKeyframe, this);
+    };
+
+    /**
+     * Exports the path as XML3D data with the keyframe times in seconds as float named "key", the positions as float3
+     * named "position" and the orientations as float4 named "orientation". The keyed values can be interpolated with
+     * xflow.lerpKeys and xflow.slerpKeys to animate the camera element with the animation system of XML3D. As these
+     * interpolate linearly, the path may be sampled to follow its curve more closely.
+     *
+     * @param {{id: string, sampleRate: number}=} opts The id of the <data> element and the number of samples per
+     *     second, the keyframes are exported as they are without a sample rate
+     * @return {HTMLElement} A new <data> element that is not yet part of the document
+     */
+    XML3D.CameraPath.prototype.toXML3D = function(opts) {
+        opts = opts || {};
+        var times = this.keyframes.map(function(keyframe) { return keyframe.time - this.keyframes[0].time; }, this);
+        if (opts.sampleRate > 0 && times.length > 1) {
+            var duration = this.getDuration();
+            var count = Math.max(Math.ceil(duration * opts.sampleRate / 1000), 1);
+            times = [];
+            for (var i = 0; i <= count; i++)
+                times.push(duration * i / count);
+        }
+        var poses = times.map(this.getPose, this);
+
+        var data = document.createElement("data");
+        if (opts.id)
+            data.setAttribute("id", opts.id);
+        data.appendChild(createValueElement("float", "key", times.map(function(time) { return time / 1000; })));
+        data.appendChild(createValueElement("float3", "position", poses.reduce(function(values, pose) {
+            return values.concat(Array.prototype.slice.call(pose.position.data));
+        }, [])));
+        data.appendChild(createValueElement("float4", "orientation", poses.reduce(function(values, pose) {
+            return values.concat(Array.prototype.slice.call(pose.orientation.data));
+        }, [])));
+        return data;
+    };
+
+
+    //---------- End public API ----------------
+
+
+    // The camera rested since the last sample, keep it there until now
+    XML3D.CameraPath.prototype.cameraStartEvent = function() {
+        var recording = this.recording;
+        if (recording.last)
+            this.addKeyframe({time: now() - recording.start, position: recording.last.position, orientation: recording.last.orientation});
+    };
+
+    XML3D.CameraPath.prototype.cameraChangeEvent = function() {
+        var time = now() - this.recording.start;
+        var last = this.keyframes[this.keyframes.length - 1];
+        if (!last || time - last.time >= this.options.sampleInterval)
+            this.sample(time);
+    };
+
+    XML3D.CameraPath.prototype.sample = function(time) {
+        this.recording.last = this.addKeyframe({time: time});
+    };
+
+    XML3D.CameraPath.prototype.frame = function(dt) {
+        var playback = this.playback;
+        if (!playback.playing)
+            return false;
+
+        // Anything else that moved the camera takes over
+        if (playback.applied && !samePose(playback.applied, this.camera.getState())) {
+            this.pause();
+            return false;
+        }
+
+        var duration = this.getDuration();
+        var speed = this.options.speed;
+        var next = playback.time + dt * 1000 * speed;
+        var ended = speed >= 0 ? next >= duration : next <= 0;
+        if (ended && this.options.loop && duration > 0)
+            next = ((next % duration) + duration) % duration;
+        this.seek(next);
+
+        if (ended && !this.options.loop) {
+            this.pause();
+            this.camera.dispatchCameraEvent("pathend", {path: this, time: playback.time});
+            return false;
+        }
+        return true;
+    };
+
+    // Tangents and squad control points only change with the keyframes
+    XML3D.CameraPath.prototype.getCurve = function() {
+        if (this.curve || !this.keyframes.length)
+            return this.curve;
+
+        var quat = XML3D.math.quat;
+        var times = this.keyframes.map(function(keyframe) { return keyframe.time; });
+        var positions = this.keyframes.map(function(keyframe) { return XML3D.math.vec3.clone(keyframe.position); });
+        var orientations = [];
+        this.keyframes.forEach(function(keyframe, i) {
+            var q = quat.normalize(quat.create(), keyframe.orientation);
+            // Take the short way between neighbouring orientations
+            if (i && quat.dot(q, orientations[i - 1]) < 0)
+                quat.scale(q, q, -1);
+            orientations.push(q);
+        });
+
+        var last = times.length - 1;
+        var tangents = positions.map(function(p, i) {
+            var prev = Math.max(i - 1, 0), next = Math.min(i + 1, last);
+            var tangent = XML3D.math.vec3.create();
+            // The camera rests at a keyframe that repeats its neighbour
+            if (next == prev || samePosition(p, positions[prev]) || samePosition(p, positions[next]))
+                return tangent;
+            XML3D.math.vec3.subtract(tangent, positions[next], positions[prev]);
+            return XML3D.math.vec3.scale(tangent, tangent, 1 / (times[next] - times[prev]));
+        });
+        var controls = orientations.map(function(q, i) {
+            var prev = orientations[Math.max(i - 1, 0)], next = orientations[Math.min(i + 1, last)];
+            if (quat.dot(q, prev) > 1 - 1e-9 || quat.dot(q, next) > 1 - 1e-9)
+                return quat.clone(q);
+            var inverse = quat.invert(quat.create(), q);
+            var a = quatLog(quat.multiply(quat.create(), inverse, next));
+            var b = quatLog(quat.multiply(quat.create(), inverse, prev));
+            var sum = [-(a[0] + b[0]) / 4, -(a[1] + b[1]) / 4, -(a[2] + b[2]) / 4];
+            return quat.normalize(quat.create(), quat.multiply(quat.create(), q, quatExp(sum)));
+        });
+
+        this.curve = {times: times, positions: positions, orientations: orientations, tangents: tangents, controls: controls};
+        return this.curve;
+    };
+
+    // Cubic Hermite interpolation with tangents per millisecond over a segment of h milliseconds
+    var hermite = function(out, p0, m0, p1, m1, h, t) {
+        var t2 = t * t, t3 = t2 * t;
+        var h00 = 2 * t3 - 3 * t2 + 1, h10 = t3 - 2 * t2 + t, h01 = -2 * t3 + 3 * t2, h11 = t3 - t2;
+        for (var k = 0; k < 3; k++)
+            out[k] = h00 * p0[k] + h10 * h * m0[k] + h01 * p1[k] + h11 * h * m1[k];
+        return out;
+    };
+
+    var squad = function(out, q0, s0, q1, s1, t) {
+        var quat = XML3D.math.quat;
+        var a = quat.slerp(quat.create(), q0, q1, t);
+        var b = quat.slerp(quat.create(), s0, s1, t);
+        return quat.slerp(out, a, b, 2 * t * (1 - t));
+    };
+
+    // Logarithm of a unit quaternion as vector
+    var quatLog = function(q) {
+        var length = Math.sqrt(q[0] * q[0] + q[1] * q[1] + q[2] * q[2]);
+        var scale = length > 1e-9 ? Math.atan2(length, q[3]) / length : 1;
+        return [q[0] * scale, q[1] * scale, q[2] * scale];
+    };
+
+    var quatExp = function(v) {
+        var angle = Math.sqrt(v[0] * v[0] + v[1] * v[1] + v[2] * v[2]);
+        var scale = angle > 1e-9 ? Math.sin(angle) / angle : 1;
+        return XML3D.math.quat.fromValues(v[0] * scale, v[1] * scale, v[2] * scale, Math.cos(angle));
+    };
+
+    var samePosition = function(a, b) {
+        return XML3D.math.vec3.sqrDist(a, b) < 1e-12;
+    };
+
+    var isTime = function(value) {
+        return typeof value === "number" && isFinite(value) && value >= 0;
+    };
+
+    // A zero quaternion has no rotation to interpolate
+    var validateKeyframe = function(keyframe) {
+        var q = keyframe.orientation;
+        if (!isTime(keyframe.time) || !keyframe.position || !q || !(q[0] || q[1] || q[2] || q[3]))
+            throw("Invalid keyframe, it needs a time, a position [x, y, z] and an orientation [x, y, z, w]");
+        return keyframe;
+    };
+
+    var createValueElement = function(type, name, values) {
+        var element = document.createElement(type);
+        element.setAttribute("name", name);
+        element.textContent = values.map(function(value) { return +value.toFixed(6); }).join(" ");
+        return element;
+    };
+})();
@@ -0,0 +1,228 @@
+(function() {
+    /*************************************************************************/
+    /*                                                                       */
+    /*  viewcube.js                                                          */
+    /*  View cube overlay showing and setting the orientation of a camera    */
+    /*                                                                       */
+    /*  Copyright (C) 2015                                                   */
+    /*  DFKI - German Research Center for Artificial Intelligence            */
+    /*                                                                       */
+    /*************************************************************************/
+
+    if(!XML3D || !XML3D.StandardCamera)
+        throw("XML3D.StandardCamera not found, please ensure the viewcube script is included after camera.js");
+
+    var SVG_NS = "http://www.w3.org/2000/svg";
+
+    // Faces are named after the standard view that looks at them, each with the faces along its two axes
+    var FACES = {
+        front: ["right", "top"],
+        back: ["left", "top"],
+        right: ["back", "top"],
+        left: ["front", "top"],
+        top: ["right", "back"],
+        bottom: ["right", "front"]
+    };
+
+    // Where the faces end and the edges and corners begin, relative to the half size of the cube
+    var EDGE = 0.6;
+    var RANGES = [[-1, -EDGE], [-EDGE, EDGE], [EDGE, 1]];
+
+    var DEFAULT_LABELS = {front: "Front", back: "Back", right: "Right", left: "Left", top: "Top", bottom: "Bottom"};
+    var AXES = [
+        {name: "X", color: "#d33", axis: [1, 0, 0]},
+        {name: "Y", color: "#3a3", axis: [0, 1, 0]},
+        {name: "Z", color: "#36d", axis: [0, 0, 1]}
+    ];
+
+    /**
+     * The ViewCube shows the orientation of a StandardCamera as cube in a corner of the <xml3d> element. The faces
+     * of the cube are labeled with the standard views of the camera, see XML3D.StandardCamera.prototype.setView.
+     * Clicking a face, edge or corner orbits the camera around its examine point to look at the cube from there.
+     *
+     * The cube is an SVG element that is inserted next to the <xml3d> element and positioned over it.
+     *
+     * @param {XML3D.StandardCamera} camera The camera to show and move
+     * @param {Object} opt
+     * @constructor
+     */
+    XML3D.ViewCube = function(camera, opt) {
+        if (!camera) {
+            throw("Must provide a camera when initializing the ViewCube!");
+        }
+        opt = opt || {};
+        var self = this;
+        this.camera = camera;
+
+        this.options = {};
+        this.options.size = opt.size || 100;
+        this.options.corner = opt.corner || "top-right";
+        this.options.margin = opt.margin !== undefined ? opt.margin : 10;
+        this.options.duration = opt.duration !== undefined ? opt.duration : 500;
+        this.options.axes = opt.axes !== undefined ? opt.axes : true;
+        this.options.labels = {};
+        for (var name in DEFAULT_LABELS)
+            this.options.labels[name] = opt.labels && opt.labels[name] !== undefined ? opt.labels[name] : DEFAULT_LABELS[name];
+
+        this.cells = [];
+        this.svg = document.createElementNS(SVG_NS, "svg");
+        this.svg.setAttribute("width", this.options.size);
+        this.svg.setAttribute("height", this.options.size);
+        this.svg.setAttribute("class", "xml3d-viewcube");
+        this.svg.style.position = "absolute";
+        this.svg.style.zIndex = 1;
+        this.svg.style.userSelect = "none";
+        camera.xml3d.parentNode.insertBefore(this.svg, camera.xml3d.nextSibling);
+
+        this._evt_change = function(e) {self.update();};
+        this._evt_click = function(e) {self.clickEvent(e);};
+        this._evt_over = function(e) {self.highlight(e.target, true);};
+        this._evt_out = function(e) {self.highlight(e.target, false);};
+        this.listeners = {camerachange: this._evt_change, upvectorchange: this._evt_change};
+        camera.addElementListeners(this.listeners, function() { self.elementChange(); });
+        window.addEventListener("resize", this._evt_change, false);
+        this.svg.addEventListener("click", this._evt_click, false);
+        this.svg.addEventListener("mouseover", this._evt_over, false);
+        this.svg.addEventListener("mouseout", this._evt_out, false);
+
+        this.update();
+    };
+
+    /**
+     * Redraws the cube for the current orientation of the camera. This happens automatically whenever the camera
+     * moves or its up vector changes.
+     */
+    XML3D.ViewCube.prototype.update = function() {
+        var camera = this.camera;
+        var tf = camera.transformInterface;
+        var size = this.options.size;
+        var svg = this.svg;
+        var xml3d = camera.xml3d;
+        var corner = this.options.corner;
+        var margin = this.options.margin;
+
+        svg.style.left = xml3d.offsetLeft + (corner.indexOf("right") != -1 ? xml3d.offsetWidth - size - margin : margin) + "px";
+        svg.style.top = xml3d.offsetTop + (corner.indexOf("bottom") != -1 ? xml3d.offsetHeight - size - margin : margin) + "px";
+
+        while (svg.firstChild)
+            svg.removeChild(svg.firstChild);
+        this.cells = [];
+
+        var right = tf.rightVector, up = tf.upVector, direction = tf.direction;
+        var center = size / 2, half = size * 0.26;
+        var project = function(vec, scale, x, y) {
+            return (x + vec.dot(right) * scale) + "," + (y - vec.dot(up) * scale);
+        };
+
+        for (var face in FACES) {
+            var normal = this.getFaceNormal(face);
+            var facing = -normal.dot(direction);
+            if (facing < 1e-3)
+                continue;
+            var u = this.getFaceNormal(FACES[face][0]), v = this.getFaceNormal(FACES[face][1]);
+            for (var i = 0; i < 3; i++) {
+                for (var j = 0; j < 3; j++) {
+                    var points = [[0, 0], [1, 0], [1, 1], [0, 1]].map(function(k) {
+                        var point = normal.add(u.scale(RANGES[i][k[0]])).add(v.scale(RANGES[j][k[1]]));
+                        return project(point, half, center, center);
+                    });
+                    var polygon = createElement("polygon", {
+                        points: points.join(" "),
+                        fill: "#f2f2f2",
+                        stroke: "#999",
+                        "stroke-width": 0.5,
+                        "data-cell": this.cells.length
+                    });
+                    polygon.style.cursor = "pointer";
+                    svg.appendChild(polygon);
+                    this.cells.push(normal.add(u.scale(i - 1)).add(v.scale(j - 1)));
+                }
+            }
+            if (facing > 0.3 && this.options.labels[face]) {
+                var position = project(normal, half, center, center).split(",");
+                var label = createElement("text", {
+                    x: position[0],
+                    y: position[1],
+                    fill: "#333",
+                    "font-family": "sans-serif",
+                    "font-size": Math.round(size * 0.12),
+                    "text-anchor": "middle",
+                    "dominant-baseline": "central",
+                    "pointer-events": "none"
+                });
+                label.textContent = this.options.labels[face];
+                svg.appendChild(label);
+            }
+        }
+
+        if (this.options.axes) {
+            var origin = size * 0.12, length = size * 0.1;
+            AXES.forEach(function(axis) {
+                var end = project(new XML3D.Vec3(axis.axis), length, origin, size - origin).split(",");
+                svg.appendChild(createElement("line", {
+                    x1: origin, y1: size - origin, x2: end[0], y2: end[1],
+                    stroke: axis.color,
+                    "stroke-width": 2,
+                    "pointer-events": "none"
+                }));
+                var text = createElement("text", {
+                    x: end[0], y: end[1],
+                    fill: axis.color,
+                    "font-family": "sans-serif",
+                    "font-size": Math.round(size * 0.09),
+                    "text-anchor": "middle",
+                    "pointer-events": "none"
+                });
+                text.textContent = axis.name;
+                svg.appendChild(text);
+            });
+        }
+    };
+
+    /**
+     * Removes the cube and stops following the camera.
+     */
+    XML3D.ViewCube.prototype.destroy = function() {
+        this.camera.removeElementListeners(this.listeners);
+        window.removeEventListener("resize", this._evt_change, false);
+        if (this.svg.parentNode)
+            this.svg.parentNode.removeChild(this.svg);
+    };
+
+
+    //---------- End public API ----------------
+
+
+    // The direction from the center of the cube to a face, which is where the camera is for the view of that face
+    XML3D.ViewCube.prototype.getFaceNormal = function(face) {
+        return this.camera.getViewDirection(face).negate();
+    };
+
+    // The cube stays next to the <xml3d> element of the camera
+    XML3D.ViewCube.prototype.elementChange = function() {
+        var xml3d = this.camera.xml3d;
+        if (this.svg.parentNode !== xml3d.parentNode)
+            xml3d.parentNode.insertBefore(this.svg, xml3d.nextSibling);
+        this.update();
+    };
+
+    XML3D.ViewCube.prototype.clickEvent = function(ev) {
+        var index = ev.target.getAttribute && ev.target.getAttribute("data-cell");
+        if (index === null || index === undefined || !this.cells[index])
+            return;
+        ev.preventDefault();
+        this.camera.setView(this.cells[index].negate(), {duration: this.options.duration});
+    };
+
+    XML3D.ViewCube.prototype.highlight = function(target, on) {
+        if (target.getAttribute && target.getAttribute("data-cell") !== null)
+            target.setAttribute("fill", on ? "#9cc3e6" : "#f2f2f2");
+    };
+
+    var createElement = function(name, attributes) {
+        var element = document.createElementNS(SVG_NS, name);
+        for (var key in attributes)
+            element.setAttribute(key, attributes[key]);
+        return element;
+    };
+})();
@@ -0,0 +1,396 @@
+(function() {
+    /*************************************************************************/
+    /*                                                                       */
+    /*  viewpoints.js                                                        */
+    /*  Saved viewpoints and guided tours for XML3D scenes                   */
+    /*                                                                       */
+    /*  Copyright (C) 2015                                                   */
+    /*  DFKI - German Research Center for Artificial Intelligence            */
+    /*                                                                       */
+    /*************************************************************************/
+
+    if(!XML3D || !XML3D.StandardCamera)
+        throw("XML3D.StandardCamera not found, please ensure the viewpoints script is included after camera.js");
+
+    /**
+     * Viewpoints manages named views of a StandardCamera and plays them back as guided tour. Each viewpoint stores
+     * the camera state together with the duration of the transition to it and the time the tour dwells there.
+     *
+     * The camera element receives a tourstep event whenever the tour heads to another viewpoint and a tourend event
+     * when it is over. The detail of both holds the index and the viewpoint.
+     *
+     * @param {XML3D.StandardCamera} camera The camera to move
+     * @param {Object} opt
+     * @constructor
+     */
+    XML3D.Viewpoints = function(camera, opt) {
+        if (!camera) {
+            throw("Must provide a camera when initializing the Viewpoints!");
+        }
+        opt = opt || {};
+        var self = this;
+        this.camera = camera;
+        this.viewpoints = [];
+
+        this.options = {};
+        this.options.duration = opt.duration !== undefined ? opt.duration : 2000;
+        this.options.dwell = opt.dwell !== undefined ? opt.dwell : 3000;
+        this.options.easing = opt.easing || "easeInOut";
+        this.options.loop = opt.loop !== undefined ? opt.loop : false;
+
+        this.tour = {
+            index: -1,
+            playing: false,
+            paused: false,
+            step: 0,
+            timer: null,
+            dwellStart: 0,
+            dwellRemaining: 0,
+            dwellElement: null
+        };
+        this._evt_camerastart = function() { self.pause(); };
+    };
+
+    /**
+     * Saves the current view of the camera. A viewpoint with the same name is replaced.
+     *
+     * @param {string} name
+     * @param {{duration: number, dwell: number}=} opts Overrides the default durations of the tour for this viewpoint
+     * @return {Object} The new viewpoint
+     */
+    XML3D.Viewpoints.prototype.capture = function(name, opts) {
+        opts = opts || {};
+        return this.add({
+            name: name,
+            state: this.camera.getState(),
+            duration: opts.duration,
+            dwell: opts.dwell
+        });
+    };
+
+    /**
+     * Adds a viewpoint, e.g. one that was exported before. A viewpoint with the same name is replaced.
+     *
+     * @param {{name: string, state: Object, duration: number, dwell: number}} viewpoint
+     * @return {Object} The added viewpoint
+     */
+    XML3D.Viewpoints.prototype.add = function(viewpoint) {
+        validateViewpoint(viewpoint);
+        var entry = {name: viewpoint.name, state: viewpoint.state};
+        if (isDuration(viewpoint.duration))
+            entry.duration = viewpoint.duration;
+        if (isDuration(viewpoint.dwell))
+            entry.dwell = viewpoint.dwell;
+
+        var index = this.indexOf(viewpoint.name);
+        if (index != -1)
+            this.viewpoints[index] = entry;
+        else
+            this.viewpoints.push(entry);
+        return entry;
+    };
+
+    /**
+     * @param {string} name
+     */
+    XML3D.Viewpoints.prototype.remove = function(name) {
+        var index = this.indexOf(name);
+        if (index == -1)
+            return;
+        this.viewpoints.splice(index, 1);
+        if (index <= this.tour.index)
+            this.tour.index--;
+    };
+
+    /**
+     * @param {string|number} name Name or index of the viewpoint
+     * @return {Object|null}
+     */
+    XML3D.Viewpoints.prototype.get = function(name) {
+        var index = typeof name === "number" ? name : this.indexOf(name);
+        return this.viewpoints[index] || null;
+    };
+
+    /**
+     * @param {string} name
+     * @return {number} The position of the viewpoint in the tour or -1
+     */
+    XML3D.Viewpoints.prototype.indexOf = function(name) {
+        for (var i = 0; i < this.viewpoints.length; i++) {
+            if (this.viewpoints[i].name === name)
+                return i;
+        }
+        return -1;
+    };
+
+    /**
+     * Adds a viewpoint for every <view> element in the scene of the camera, except the one the camera controls.
+     * Viewpoints are named after the id of the view.
+     *
+     * @return {Array} The added viewpoints
+     */
+    XML3D.Viewpoints.prototype.importViews = function() {
+        var camera = this.camera;
+        var views = camera.xml3d.querySelectorAll("view");
+        var added = [];
+        for (var i = 0; i < views.length; i++) {
+            var view = views[i];
+            if (view === camera.element || !view.getWorldMatrix)
+                continue;
+            added.push(this.add({name: view.id || "View " + (i + 1), state: getViewState(view, camera)}));
+        }
+        return added;
+    };
+
+    /**
+     * Moves the camera to a viewpoint without starting the tour.
+     *
+     * @param {string|number} name Name or index of the viewpoint
+     * @param {Object=} opts Transition options, see XML3D.StandardCamera.prototype.flyTo
+     * @return {Promise|undefined} Resolves when the camera arrived, see XML3D.StandardCamera.prototype.flyTo
+     */
+    XML3D.Viewpoints.prototype.goTo = function(name, opts) {
+        var viewpoint = this.get(name);
+        if (!viewpoint) {
+            XML3D.debug.logError("Unknown viewpoint '" + name + "'");
+            return;
+        }
+        opts = opts || {};
+        return this.camera.setState(viewpoint.state, {
+            duration: opts.duration !== undefined ? opts.duration : this.getDuration(viewpoint),
+            easing: opts.easing || this.options.easing,
+            callback: opts.callback
+        });
+    };
+
+    /**
+     * Plays the tour along all viewpoints in order. User input on the camera pauses the tour, both on the way to a
+     * viewpoint and while dwelling there.
+     *
+     * @param {number=} index The viewpoint to start with, defaults to the first one
+     */
+    XML3D.Viewpoints.prototype.play = function(index) {
+        if (!this.viewpoints.length)
+            return;
+        this.tour.playing = true;
+        this.tour.paused = false;
+        this.visit(index || 0);
+    };
+
+    /**
+     * Holds the tour at the current position of the camera.
+     */
+    XML3D.Viewpoints.prototype.pause = function() {
+        var tour = this.tour;
+        if (!tour.playing || tour.paused)
+            return;
+        tour.paused = true;
+        if (tour.timer !== null) {
+            this.endDwell();
+            tour.dwellRemaining = Math.max(0, tour.dwellRemaining - (Date.now() - tour.dwellStart));
+        } else {
+            // The camera was still on its way, resuming flies to the same viewpoint again
+            tour.dwellRemaining = -1;
+            tour.step++;
+            this.camera.stopTransition();
+        }
+    };
+
+    /**
+     * Continues a paused tour.
+     */
+    XML3D.Viewpoints.prototype.resume = function() {
+        var tour = this.tour;
+        if (!tour.playing || !tour.paused)
+            return;
+        tour.paused = false;
+        if (tour.dwellRemaining < 0)
+            this.visit(tour.index);
+        else
+            this.dwell(tour.dwellRemaining);
+    };
+
+    /**
+     * Stops the tour, the camera stays where it is.
+     */
+    XML3D.Viewpoints.prototype.stop = function() {
+        var tour = this.tour;
+        if (!tour.playing)
+            return;
+        var wasMoving = tour.timer === null && !tour.paused;
+        tour.playing = false;
+        tour.paused = false;
+        tour.step++;
+        this.endDwell();
+        if (wasMoving)
+            this.camera.stopTransition();
+        this.camera.dispatchCameraEvent("tourend", {index: tour.index, viewpoint: this.get(tour.index)});
+    };
+
+    /**
+     * Moves on to the next viewpoint. Continues a paused tour if it is playing.
+     */
+    XML3D.Viewpoints.prototype.next = function() {
+        this.skip(1);
+    };
+
+    /**
+     * Moves back to the previous viewpoint. Continues a paused tour if it is playing.
+     */
+    XML3D.Viewpoints.prototype.previous = function() {
+        this.skip(-1);
+    };
+
+    /**
+     * @return {{viewpoints: Array}} All viewpoints as plain object that can be serialized to JSON
+     */
+    XML3D.Viewpoints.prototype.toJSON = function() {
+        return {
+            viewpoints: this.viewpoints.map(function(viewpoint) {
+                return JSON.parse(JSON.stringify(viewpoint));
+            })
+        };
+    };
+
+    /**
+     * Replaces all viewpoints with the ones from an export of toJSON. Stops a running tour. Invalid input leaves the
+     * viewpoints unchanged.
+     *
+     * @param {Object|string} json The exported object or its JSON string
+     */
+    XML3D.Viewpoints.prototype.fromJSON = function(json) {
+        var data = typeof json === "string" ? JSON.parse(json) : json;
+        if (!data || !Array.isArray(data.viewpoints))
+            throw("Invalid viewpoints, expected an object with a viewpoints array");
+        data.viewpoints.forEach(validateViewpoint);
+        this.stop();
+        this.viewpoints = [];
+        this.tour.index = -1;
+        data.viewpoints.forEach(this.add, this);
+    };
+
+
+    //---------- End public API ----------------
+
+
+    XML3D.Viewpoints.prototype.getDuration = function(viewpoint) {
+        return viewpoint.duration !== undefined ? viewpoint.duration : this.options.duration;
+    };
+
+    XML3D.Viewpoints.prototype.getDwell = function(viewpoint) {
+        return viewpoint.dwell !== undefined ? viewpoint.dwell : this.options.dwell;
+    };
+
+    XML3D.Viewpoints.prototype.skip = function(offset) {
+        var count = this.viewpoints.length;
+        if (!count)
+            return;
+        var index = this.tour.index + offset;
+        if (this.options.loop)
+            index = (index % count + count) % count;
+        index = Math.max(0, Math.min(index, count - 1));
+
+        if (!this.tour.playing) {
+            this.tour.index = index;
+            this.goTo(index);
+            return;
+        }
+        this.tour.paused = false;
+        this.visit(index);
+    };
+
+    XML3D.Viewpoints.prototype.visit = function(index) {
+        var self = this;
+        var tour = this.tour;
+        var viewpoint = this.viewpoints[index];
+        this.endDwell();
+        tour.index = index;
+        var step = ++tour.step;
+
+        this.camera.dispatchCameraEvent("tourstep", {index: index, viewpoint: viewpoint});
+        this.goTo(index, {
+            callback: function(completed) {
+                if (step !== tour.step)
+                    return;
+                if (completed)
+                    self.dwell(self.getDwell(viewpoint));
+                else
+                    self.pause();
+            }
+        });
+    };
+
+    XML3D.Viewpoints.prototype.dwell = function(time) {
+        var self = this;
+        var tour = this.tour;
+        var step = tour.step;
+        tour.dwellStart = Date.now();
+        tour.dwellRemaining = time;
+        // Input on the camera while it rests at the viewpoint pauses the tour like input during the transition
+        tour.dwellElement = this.camera.element;
+        tour.dwellElement.addEventListener("camerastart", this._evt_camerastart, false);
+        tour.timer = window.setTimeout(function() {
+            self.endDwell();
+            if (step !== tour.step)
+                return;
+            if (tour.index + 1 < self.viewpoints.length)
+                self.visit(tour.index + 1);
+            else if (self.options.loop)
+                self.visit(0);
+            else
+                self.stop();
+        }, time);
+    };
+
+    XML3D.Viewpoints.prototype.endDwell = function() {
+        var tour = this.tour;
+        if (tour.timer !== null) {
+            window.clearTimeout(tour.timer);
+            tour.timer = null;
+        }
+        if (tour.dwellElement) {
+            tour.dwellElement.removeEventListener("camerastart", this._evt_camerastart, false);
+            tour.dwellElement = null;
+        }
+    };
+
+    var validateViewpoint = function(viewpoint) {
+        if (!viewpoint || typeof viewpoint.name !== "string" || !viewpoint.state || typeof viewpoint.state !== "object")
+            throw("Invalid viewpoint, it needs a name and a camera state");
+    };
+
+    var isDuration = function(value) {
+        return typeof value === "number" && isFinite(value) && value >= 0;
+    };
+
+    // Pose of a view relative to the parent of the camera element, in the format of XML3D.StandardCamera.getState
+    var getViewState = function(view, camera) {
+        var mat4 = XML3D.math.mat4;
+        var matrix = mat4.clone(view.getWorldMatrix().data);
+        var parent = camera.element.parentElement;
+        if (parent && parent.getWorldMatrix) {
+            var inverse = mat4.invert(mat4.create(), parent.getWorldMatrix().data);
+            mat4.multiply(matrix, inverse, matrix);
+        }
+
+        // Remove any scaling before extracting the rotation
+        var rotation = XML3D.math.mat3.fromMat4(XML3D.math.mat3.create(), matrix);
+        for (var c = 0; c < 3; c++) {
+            var length = Math.sqrt(rotation[c * 3] * rotation[c * 3] + rotation[c * 3 + 1] * rotation[c * 3 + 1] +
+                rotation[c * 3 + 2] * rotation[c * 3 + 2]);
+            for (var r = 0; length && r < 3; r++)
+                rotation[c * 3 + r] /= length;
+        }
+        var orientation = XML3D.math.quat.fromMat3(XML3D.math.quat.create(), rotation);
+        XML3D.math.quat.normalize(orientation, orientation);
+
+        var state = {
+            position: [matrix[12], matrix[13], matrix[14]],
+            orientation: Array.prototype.slice.call(orientation)
+        };
+        var fov = view.querySelector("float[name=fovVertical]");
+        if (fov && isFinite(parseFloat(fov.textContent)))
+            state.fieldOfView = parseFloat(fov.textContent);
+        return state;
+    };
+})();